@@ -1,10 +1,30 @@
-const { onRequest, onCall } = require("firebase-functions/v2/https");
-const { onDocumentCreated } = require("firebase-functions/v2/firestore");
-const { defineSecret } = require("firebase-functions/params");
+const { onRequest, onCall, HttpsError } = require("firebase-functions/v2/https");
+const {
+  onDocumentCreated,
+  onDocumentUpdated,
+  onDocumentDeleted,
+} = require("firebase-functions/v2/firestore");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const { onObjectFinalized } = require("firebase-functions/v2/storage");
+const {
+  defineSecret,
+  defineInt,
+  defineList,
+  defineString,
+} = require("firebase-functions/params");
 const { getFirestore, FieldValue } = require("firebase-admin/firestore");
+const { getAuth } = require("firebase-admin/auth");
 const { getStorage } = require("firebase-admin/storage");
 const { initializeApp } = require("firebase-admin/app");
 const Stripe = require("stripe");
+const webpush = require("web-push");
+const crypto = require("crypto");
+const { pipeline } = require("stream/promises");
+const JSZip = require("jszip");
+const sharp = require("sharp");
+const PDFDocument = require("pdfkit");
+const BADGE_DEFINITIONS = require("./badges.json");
+const { createProviders, parseModelOverrides } = require("./providers");
 
 initializeApp();
 const firestoreDb = getFirestore();
@@ -32,6 +52,39 @@ const anthropicApiKey = defineSecret("ANTHROPIC_API_KEY");
 const openaiApiKey = defineSecret("OPENAI_API_KEY");
 const stripeSecretKey = defineSecret("STRIPE_SECRET_KEY");
 const stripeWebhookSecret = defineSecret("STRIPE_WEBHOOK_SECRET");
+const vapidPrivateKey = defineSecret("VAPID_PRIVATE_KEY");
+
+// Coach Tidy entitlement config — set via functions/.env.<project> or deploy prompts
+const coachMonthlyLimit = defineInt("COACH_MONTHLY_LIMIT", { default: 5 });
+const coachUnlimitedUids = defineList("COACH_UNLIMITED_UIDS", { default: [] });
+
+// Streak engine config — grace window is how many hours past local midnight
+// still count toward the previous day; one freeze is earned per N active days.
+const streakGraceHours = defineInt("STREAK_GRACE_HOURS", { default: 3 });
+const streakFreezeEvery = defineInt("STREAK_FREEZE_EVERY", { default: 7 });
+const streakFreezeMax = defineInt("STREAK_FREEZE_MAX", { default: 2 });
+
+// Web push config — "standin" records pushes in Firestore instead of sending
+// them (always on in the emulator). Streak alerts go out at this local hour.
+const vapidPublicKey = defineString("VAPID_PUBLIC_KEY", { default: "" });
+const pushTransport = defineString("PUSH_TRANSPORT", { default: "webpush" });
+const streakAlertHour = defineInt("STREAK_ALERT_HOUR", { default: 21 });
+
+// Weekly recaps are written on Monday at this local hour, for the week just ended
+const recapLocalHour = defineInt("RECAP_LOCAL_HOUR", { default: 8 });
+
+// Extra words/phrases the text pre-check holds for review, on top of the built-in list
+const moderationBlockedTerms = defineList("MODERATION_BLOCKED_TERMS", { default: [] });
+
+// Requests per hour to each AI HTTP endpoint, per signed-in user and per client IP
+const aiRateLimitPerUser = defineInt("AI_RATE_LIMIT_PER_USER", { default: 30 });
+const aiRateLimitPerIp = defineInt("AI_RATE_LIMIT_PER_IP", { default: 60 });
+
+// AI provider — "anthropic" for the live APIs, "fake" for deterministic
+// offline replies (set in functions/.env.local for the emulator). Per-feature
+// models can be swapped with "feature=model" entries, e.g. tidyComment=claude-sonnet-4-5.
+const aiProvider = defineString("AI_PROVIDER", { default: "anthropic" });
+const aiModelOverrides = defineList("AI_MODEL_OVERRIDES", { default: [] });
 
 const ALLOWED_ORIGINS = [
   "https://tacogong0621.github.io",
@@ -39,30 +92,204 @@ const ALLOWED_ORIGINS = [
   "http://localhost:3000",
 ];
 
+// --- Auth helpers ---
+
+// The web app keys every users/items doc by "google_<Firebase uid>"
+function toAppUserId(uid) {
+  return "google_" + uid;
+}
+
+// Verify the "Authorization: Bearer <Firebase ID token>" header on an HTTP request.
+// Returns the decoded token, or null if missing/invalid.
+async function verifyRequestAuth(req) {
+  const match = (req.headers.authorization || "").match(/^Bearer (.+)$/);
+  if (!match) return null;
+  try {
+    return await getAuth().verifyIdToken(match[1]);
+  } catch (error) {
+    console.warn("[Auth] ID token rejected:", error.code || error.message);
+    return null;
+  }
+}
+
+async function findUserDoc(userId) {
+  const snapshot = await firestoreDb
+    .collection("users")
+    .where("userId", "==", userId)
+    .limit(1)
+    .get();
+  return snapshot.empty ? null : snapshot.docs[0];
+}
+
+// --- Private profile data ---
+// users docs are readable by everyone signed in (rankings, profiles), so what
+// only the owner should see lives in userPrivate/{userId}, keyed by app user
+// id: subscription, Coach usage (coachUsedThisMonth, lastResetMonth),
+// notificationPrefs/notificationState, timezone and the feed-ban flags.
+// firestore.rules lets only the owner read it, and write just notificationPrefs
+// and timezone.
+const USER_PRIVATE_COLLECTION = "userPrivate";
+const USER_PRIVATE_FIELDS = [
+  "subscription", "coachUsedThisMonth", "lastResetMonth", "notificationPrefs", "notificationState",
+  "timezone", "feedBanned", "feedBannedAt", "feedBannedBy",
+];
+
+function userPrivateRef(userId) {
+  return firestoreDb.collection(USER_PRIVATE_COLLECTION).doc(userId);
+}
+
+async function getUserPrivate(userId) {
+  const snap = await userPrivateRef(userId).get();
+  return snap.exists ? snap.data() : {};
+}
+
+// --- Rate limiting ---
+// Fixed-window counters in rate_limits/{name}_{key}. IP keys are hashed so raw
+// addresses are never stored; expiresAt lets a Firestore TTL policy clear
+// finished windows.
+
+const RATE_LIMITS_COLLECTION = "rate_limits";
+const AI_RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000;
+
+// Google's front end appends the caller's address as the last X-Forwarded-For
+// hop; earlier entries are whatever the client sent and can't be trusted
+function getClientIp(req) {
+  const hops = String(req.headers["x-forwarded-for"] || "").split(",").map((hop) => hop.trim()).filter(Boolean);
+  return hops[hops.length - 1] || req.ip || "unknown";
+}
+
+/**
+ * Count one request against `name` for `key`.
+ * Returns { allowed, retryAfterSeconds }.
+ */
+async function consumeRateLimit(name, key, limit, windowMs) {
+  const ref = firestoreDb.collection(RATE_LIMITS_COLLECTION).doc(`${name}_${key}`);
+  return firestoreDb.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const now = Date.now();
+    const data = snap.exists ? snap.data() : null;
+    if (!data || now - data.windowStart >= windowMs) {
+      tx.set(ref, { windowStart: now, count: 1, expiresAt: new Date(now + windowMs) });
+      return { allowed: true, retryAfterSeconds: 0 };
+    }
+    if (data.count >= limit) {
+      return { allowed: false, retryAfterSeconds: Math.ceil((data.windowStart + windowMs - now) / 1000) };
+    }
+    tx.update(ref, { count: data.count + 1 });
+    return { allowed: true, retryAfterSeconds: 0 };
+  });
+}
+
+/**
+ * Shared gate for the AI HTTP endpoints: POST only, a valid Firebase ID token,
+ * and within both the per-user and per-IP limits. Sends the error response
+ * itself and returns null when the request may not go ahead.
+ */
+async function authorizeAIRequest(req, res, name) {
+  if (req.method !== "POST") {
+    res.status(405).json({ error: "Method not allowed" });
+    return null;
+  }
+
+  const decodedToken = await verifyRequestAuth(req);
+  if (!decodedToken) {
+    res.status(401).json({ error: "Authentication required" });
+    return null;
+  }
+
+  const ipKey = crypto.createHash("sha256").update(getClientIp(req)).digest("hex").slice(0, 32);
+  let limit;
+  try {
+    limit = await consumeRateLimit(`${name}_user`, decodedToken.uid, aiRateLimitPerUser.value(), AI_RATE_LIMIT_WINDOW_MS);
+    if (limit.allowed) {
+      limit = await consumeRateLimit(`${name}_ip`, ipKey, aiRateLimitPerIp.value(), AI_RATE_LIMIT_WINDOW_MS);
+    }
+  } catch (error) {
+    console.error("[RateLimit] Check failed:", error);
+    res.status(500).json({ error: "Internal server error" });
+    return null;
+  }
+  if (!limit.allowed) {
+    console.warn(`[RateLimit] ${name} blocked for`, decodedToken.uid);
+    res.set("Retry-After", String(limit.retryAfterSeconds));
+    res.status(429).json({
+      error: "Too many requests. Please try again later.",
+      retryAfter: limit.retryAfterSeconds,
+    });
+    return null;
+  }
+  return decodedToken;
+}
+
+// The item an AI endpoint was asked about, or null unless the caller owns it
+async function getOwnedItem(itemId, uid) {
+  if (typeof itemId !== "string" || !itemId) return null;
+  const snap = await firestoreDb.collection("items").doc(itemId).get();
+  return snap.exists && snap.data().userId === toAppUserId(uid) ? snap : null;
+}
+
+// --- AI providers ---
+
+const AI_USAGE_COLLECTION = "ai_usage";
+
+let providers = null;
+
+// Built on first use — params can't be read while the module loads. Keys are
+// read per call, so functions without a secret bound simply fail that call.
+function getProviders() {
+  if (!providers) {
+    providers = createProviders({
+      provider: aiProvider.value(),
+      anthropicApiKey: () => anthropicApiKey.value(),
+      openaiApiKey: () => openaiApiKey.value(),
+      models: parseModelOverrides(aiModelOverrides.value()),
+      onUsage: (usage) => firestoreDb.collection(AI_USAGE_COLLECTION).add({
+        ...usage,
+        createdAt: FieldValue.serverTimestamp(),
+      }),
+    });
+  }
+  return providers;
+}
+
 /**
  * generateEncouragement — HTTP endpoint called via fetch from the frontend.
- * Returns a one-sentence AI encouragement message after an item is decluttered.
+ * Body: { itemId }. Returns a one-sentence AI encouragement for the caller's
+ * just-logged item, with the prompt built from their own data.
  */
 exports.generateEncouragement = onRequest(
   { secrets: [anthropicApiKey], cors: ALLOWED_ORIGINS },
   async (req, res) => {
-    if (req.method !== "POST") {
-      res.status(405).json({ error: "Method not allowed" });
-      return;
-    }
+    const decodedToken = await authorizeAIRequest(req, res, "encouragement");
+    if (!decodedToken) return;
+    const userId = toAppUserId(decodedToken.uid);
 
-    const { itemName, category, points, totalScore, streak, categoryCount } =
-      req.body;
+    try {
+      const itemSnap = await getOwnedItem(req.body?.itemId, decodedToken.uid);
+      if (!itemSnap) {
+        res.status(404).json({ error: "Item not found" });
+        return;
+      }
+      const itemData = itemSnap.data();
 
-    if (!itemName || !category) {
-      res.status(400).json({ error: "Missing required fields" });
-      return;
-    }
+      const itemsSnapshot = await firestoreDb.collection("items").where("userId", "==", userId).get();
+      const categoryCount = {};
+      let totalScore = 0;
+      itemsSnapshot.forEach((d) => {
+        const data = d.data();
+        categoryCount[data.category] = (categoryCount[data.category] || 0) + 1;
+        totalScore += computeItemPoints(data).points;
+      });
+      const userDoc = await findUserDoc(userId);
+      const streak = userDoc?.data().streak || 0;
+      const { points } = computeItemPoints(itemData);
+      const itemName = String(itemData.name || "").slice(0, 100);
+      const category = getCategoryName(itemData.category);
 
-    // 80% short (<8 words), 20% detailed
-    const isShortMode = Math.random() < 0.8;
+      // 80% short (<8 words), 20% detailed
+      const isShortMode = Math.random() < 0.8;
 
-    const shortPrompt = `User decluttered "${itemName}" (${category}).
+      const shortPrompt = `User decluttered "${itemName}" (${category}).
 Status: ${points} pts earned, ${totalScore} total, streak ${streak} days, categories: ${JSON.stringify(categoryCount)}
 
 Write a punchy encouragement in UNDER 8 WORDS. Include 1 emoji.
@@ -75,7 +302,7 @@ Examples of the right vibe:
 - "Kitchen breathing easier now 🍽️"
 Don't copy examples — be creative and specific to their data.`;
 
-    const detailedPrompt = `User decluttered "${itemName}" (${category}).
+      const detailedPrompt = `User decluttered "${itemName}" (${category}).
 Status: ${points} pts earned, ${totalScore} total, streak ${streak} days, categories: ${JSON.stringify(categoryCount)}
 
 Write a warm, personalized encouragement in 1-2 sentences. Include 1-2 emojis.
@@ -83,100 +310,51 @@ Reference something specific: the item, a pattern in their category stats, their
 NOT generic — make it about THIS person's decluttering journey and data.
 Don't use cliché phrases like "Amazing!" or "Great job!".`;
 
-    const prompt = isShortMode ? shortPrompt : detailedPrompt;
+      const prompt = isShortMode ? shortPrompt : detailedPrompt;
 
-    try {
-      const response = await fetch("https://api.anthropic.com/v1/messages", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "x-api-key": anthropicApiKey.value(),
-          "anthropic-version": "2023-06-01",
-        },
-        body: JSON.stringify({
-          model: "claude-haiku-4-5-20251001",
-          max_tokens: isShortMode ? 60 : 150,
-          messages: [{ role: "user", content: prompt }],
-        }),
+      const { text } = await getProviders().complete("encouragement", {
+        messages: [{ role: "user", content: prompt }],
+        maxTokens: isShortMode ? 60 : 150,
+        userId,
       });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error("Anthropic API error:", response.status, errorText);
-        res.status(502).json({ error: "AI service unavailable" });
-        return;
-      }
-
-      const data = await response.json();
-      res.json({ message: data.content[0].text.trim() });
+      res.json({ message: text });
     } catch (error) {
-      console.error("Error calling Anthropic API:", error);
-      res.status(500).json({ error: "Internal server error" });
+      console.error("[Encouragement] Error:", error);
+      res.status(error.name === "ProviderError" ? 502 : 500).json({
+        error: error.name === "ProviderError" ? "AI service unavailable" : "Internal server error",
+      });
     }
   }
 );
 
 /**
  * generateTidyCommentHTTP — HTTP endpoint for Tidy AI Coach comment.
- * Accepts a prompt from the frontend and returns AI-generated text.
- * This is a fallback for when the Firestore onCreate trigger doesn't fire.
+ * Body: { itemId }. Writes Tidy's comment for the caller's item (unless the
+ * trigger already did) and returns its text. This is a fallback for when the
+ * Firestore onCreate trigger doesn't fire.
  */
 exports.generateTidyCommentHTTP = onRequest(
   { secrets: [anthropicApiKey], cors: ALLOWED_ORIGINS },
   async (req, res) => {
-    if (req.method !== "POST") {
-      res.status(405).json({ error: "Method not allowed" });
-      return;
-    }
-
-    const { system, prompt, maxTokens } = req.body;
-
-    if (!prompt) {
-      res.status(400).json({ error: "Missing prompt" });
-      return;
-    }
+    const decodedToken = await authorizeAIRequest(req, res, "tidyComment");
+    if (!decodedToken) return;
 
     try {
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), 15000);
-
-      // Allow frontend to pass maxTokens (capped at 200 for safety)
-      const tokenLimit = Math.min(maxTokens || 200, 200);
-
-      const apiBody = {
-        model: "claude-haiku-4-5-20251001",
-        max_tokens: tokenLimit,
-        messages: [{ role: "user", content: prompt }],
-      };
-      if (system) {
-        apiBody.system = system;
+      const itemSnap = await getOwnedItem(req.body?.itemId, decodedToken.uid);
+      if (!itemSnap) {
+        res.status(404).json({ error: "Item not found" });
+        return;
       }
-
-      const response = await fetch("https://api.anthropic.com/v1/messages", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "x-api-key": anthropicApiKey.value(),
-          "anthropic-version": "2023-06-01",
-        },
-        body: JSON.stringify(apiBody),
-        signal: controller.signal,
-      });
-
-      clearTimeout(timeout);
-
-      if (!response.ok) {
-        const errBody = await response.text();
-        console.error("[TidyHTTP] Anthropic API error:", response.status, errBody);
-        res.status(502).json({ error: "AI service unavailable" });
+      const existing = await itemSnap.ref.collection(COMMENTS_COLLECTION).doc(TIDY_COMMENT_ID).get();
+      if (existing.exists) {
+        res.json({ text: existing.data().text, created: false });
         return;
       }
-
-      const data = await response.json();
-      res.json({ text: data.content[0].text.trim() });
+      const { text, created } = await writeTidyComment(itemSnap.ref, itemSnap.data());
+      res.json({ text, created });
     } catch (error) {
       console.error("[TidyHTTP] Error:", error);
-      res.status(500).json({ error: "Internal server error" });
+      res.status(502).json({ error: "AI service unavailable" });
     }
   }
 );
@@ -210,6 +388,50 @@ const SPACES = {
   mudroom: "Mudroom",
 };
 
+// Base points per category — mirrors the labels on the Add tab category picker
+const CATEGORY_POINTS = {
+  clothing: 10,
+  books: 15,
+  electronics: 20,
+  furniture: 30,
+  kitchenware: 10,
+  shoes: 10,
+  food: 5,
+  toys: 5,
+  digital: 5,
+  accessories: 5,
+  other: 5,
+};
+
+const BA_BONUS_POINTS = 30;
+
+// Where an item went once it left the house — items.disposition
+const DISPOSITIONS = {
+  donate: "donated",
+  sell: "sold",
+  recycle: "recycled",
+  trash: "trashed",
+  gift: "gifted",
+};
+
+// What it was worth and who got it are the owner's business, so they live in
+// dispositionDetails/{itemId}: { userId, estimatedValue, recipient }, which
+// firestore.rules lets only the owner read. The client writes it in the same
+// batch as the item.
+const DISPOSITION_DETAILS_COLLECTION = "dispositionDetails";
+
+// The owner's items with their estimatedValue and recipient merged back in
+async function withDispositionDetails(userId, itemDocs) {
+  const detailDocs = await getUserOwnedDocs(DISPOSITION_DETAILS_COLLECTION, userId);
+  const details = new Map(detailDocs.map((d) => [d.id, d.data()]));
+  return itemDocs.map((d) => ({
+    id: d.id,
+    ...d.data(),
+    estimatedValue: details.get(d.id)?.estimatedValue ?? null,
+    recipient: details.get(d.id)?.recipient ?? null,
+  }));
+}
+
 function getCategoryName(category) {
   return CATEGORY_NAMES[category] || "📦 Other";
 }
@@ -257,11 +479,28 @@ function formatRecentItemsList(recentItems) {
       );
       const spaceName = getSpaceDisplayName(item.space);
       const categoryName = getCategoryName(item.category);
-      return `  - "${item.name}" (${categoryName}, ${spaceName}, ${daysAgo === 0 ? "today" : daysAgo + "d ago"})`;
+      const went = DISPOSITIONS[item.disposition] ? DISPOSITIONS[item.disposition] + ", " : "";
+      return `  - "${item.name}" (${categoryName}, ${spaceName}, ${went}${daysAgo === 0 ? "today" : daysAgo + "d ago"})`;
     })
     .join("\n");
 }
 
+// "5 donated, 2 sold (est. value 140)" across all of a user's items, or ""
+function summarizeDispositions(items) {
+  const counts = {};
+  let passedOnValue = 0;
+  items.forEach((item) => {
+    if (!DISPOSITIONS[item.disposition]) return;
+    counts[item.disposition] = (counts[item.disposition] || 0) + 1;
+    if (Number.isFinite(item.estimatedValue)) passedOnValue += item.estimatedValue;
+  });
+  const parts = Object.keys(DISPOSITIONS)
+    .filter((key) => counts[key])
+    .map((key) => `${counts[key]} ${DISPOSITIONS[key]}`);
+  if (!parts.length) return "";
+  return parts.join(", ") + (passedOnValue > 0 ? ` (est. value ${Math.round(passedOnValue)})` : "");
+}
+
 // --- Tidy AI Coach System Prompt ---
 const TIDY_SYSTEM_PROMPT = `You are Tidy, an expert decluttering coach who has deeply internalized the methodologies of the world's leading organizing experts.
 
@@ -293,6 +532,7 @@ NOTE HANDLING:
 CONTEXT RULES:
 - If user vision is provided, tie your advice back to it
 - If streak/history is provided, acknowledge their momentum specifically
+- If household context is provided, you may mention what another member just did by name (e.g. "Jae just cleared the garage too!") — shared momentum, never a comparison
 - If a photo is provided, start by describing what you actually see before advising
 
 RESPONSE RULES:
@@ -309,29 +549,125 @@ RESPONSE RULES:
 - If item has before & after photos (DETAILED MODE only): celebrate effort, then give ONE maintenance tip using HABITS (not products). Good tips: "one in one out", rearrange by frequency, weekly 5-min reset, folding methods, clear surfaces, group similar items
 - If no before & after photos (DETAILED MODE only): just encourage and celebrate — do NOT give tips or suggestions`;
 
-function buildTidyUserMessage(itemData, context, shortMode) {
+/**
+ * Load everything Tidy knows about a user: vision, streak, points, the
+ * patterns in their recent items and their household. Shared by item
+ * comments and Ask Tidy chat.
+ */
+async function loadTidyContext(userId) {
+  // Fetch all user items for context (no orderBy to avoid composite index requirement)
+  const itemsSnapshot = await firestoreDb
+    .collection("items")
+    .where("userId", "==", userId)
+    .get();
+
+  const allItems = await withDispositionDetails(userId, itemsSnapshot.docs);
+  // Sort by createdAt descending in JS (avoids Firestore composite index)
+  allItems.sort((a, b) => {
+    const aTime = a.createdAt?.toDate
+      ? a.createdAt.toDate().getTime()
+      : 0;
+    const bTime = b.createdAt?.toDate
+      ? b.createdAt.toDate().getTime()
+      : 0;
+    return bTime - aTime;
+  });
+  const totalItems = allItems.length;
+
+  // Recent items (last 7)
+  const recentItems = allItems.slice(0, 7);
+  const recentItemsList = formatRecentItemsList(recentItems);
+
+  // Pattern detection
+  const topSpace = getMostFrequent(recentItems, "space");
+  const topCategory = getMostFrequent(recentItems, "category");
+  const itemsThisWeek = getItemsThisWeek(allItems);
+  const topSpaceName = topSpace ? getSpaceDisplayName(topSpace) : "N/A";
+  const topCategoryName = topCategory
+    ? getCategoryName(topCategory)
+    : "N/A";
+
+  // Fetch user data for vision, streak, score
+  const userDoc = await findUserDoc(userId);
+  const userData = userDoc ? userDoc.data() : {};
+  const householdSummary = userData.householdId ?
+    await loadHouseholdSummary(userData.householdId, userId) :
+    "";
+
+  return {
+    userVision: userData.dreamVision || "",
+    totalItems,
+    currentStreak: userData.streak || 0,
+    longestStreak: userData.longestStreak || 0,
+    streakFreezes: userData.streakFreezes || 0,
+    totalPoints: userData.score || 0,
+    itemsThisWeek,
+    topSpaceName,
+    topCategoryName,
+    recentItemsList,
+    dispositionSummary: summarizeDispositions(allItems),
+    householdSummary,
+  };
+}
+
+// The HOUSEHOLD block: who lives there, the combined streak and what the
+// other members cleared lately. "" if the household is gone.
+async function loadHouseholdSummary(householdId, userId) {
+  const householdSnap = await householdRef(householdId).get();
+  if (!householdSnap.exists) return "";
+  const household = householdSnap.data();
+  const members = household.members || {};
+
+  const recentSnapshot = await firestoreDb
+    .collection("items")
+    .where("householdId", "==", householdId)
+    .orderBy("createdAt", "desc")
+    .limit(20)
+    .get();
+  const othersRecent = recentSnapshot.docs
+    .map((d) => d.data())
+    .filter((item) => item.userId !== userId && members[item.userId] && countsTowardStats(item))
+    .slice(0, 5)
+    .map((item) => {
+      const daysAgo = Math.floor((Date.now() - (toDateValue(item.createdAt)?.getTime() || Date.now())) / 86400000);
+      return `  - ${members[item.userId].name || "A member"} (${members[item.userId].role}) cleared "${item.name}" ` +
+        `(${getSpaceDisplayName(item.space)}, ${daysAgo === 0 ? "today" : daysAgo + "d ago"})`;
+    });
+
+  const memberList = Object.entries(members)
+    .map(([id, member]) => (id === userId ? `this user (${member.role})` : `${member.name || "a member"} (${member.role})`))
+    .join(", ");
+  return `HOUSEHOLD "${household.name}" — ${memberList}:
+- Combined household streak: ${household.streak || 0} days
+- Combined household points: ${household.score || 0}
+- Recently cleared by other members:
+${othersRecent.join("\n") || "  (nothing lately)"}`;
+}
+
+// The "who is this person" part of every Tidy prompt: vision and streak
+// lines (plus any extra lines), then their history block
+function buildTidyContextBlocks(context, extraLines = []) {
   const {
     userVision,
     totalItems,
     currentStreak,
+    longestStreak,
+    streakFreezes,
     totalPoints,
     itemsThisWeek,
     topSpaceName,
     topCategoryName,
     recentItemsList,
+    dispositionSummary,
+    householdSummary,
   } = context;
 
-  const spaceName = getSpaceDisplayName(itemData.space);
-  const categoryName = getCategoryName(itemData.category);
-  const hasBA = itemData.hasBeforeAfter;
-  const itemNote = itemData.note && itemData.note.trim() ? itemData.note.trim() : "";
-
   const userContext = [
     userVision ? "Dream home vision: " + userVision : "",
     currentStreak ? "Current streak: " + currentStreak + " days" : "",
-    categoryName ? "Category: " + categoryName : "",
-    spaceName ? "Space: " + spaceName : "",
-    itemNote ? "User note about this item: " + itemNote : "",
+    longestStreak > currentStreak ? "Longest streak ever: " + longestStreak + " days" : "",
+    streakFreezes ? "Streak freezes saved up: " + streakFreezes : "",
+    ...extraLines,
   ].filter(Boolean).join("\n");
 
   const historyBlock = `USER'S HISTORY:
@@ -339,9 +675,28 @@ function buildTidyUserMessage(itemData, context, shortMode) {
 - Total points: ${totalPoints}
 - Items this week: ${itemsThisWeek}
 - Most cleared space lately: ${topSpaceName}
-- Most cleared category lately: ${topCategoryName}
+- Most cleared category lately: ${topCategoryName}${dispositionSummary ? `
+- Where things went: ${dispositionSummary}` : ""}
 - Recent items:
-${recentItemsList}`;
+${recentItemsList || "  (none yet)"}`;
+
+  return [userContext, historyBlock, householdSummary].filter(Boolean);
+}
+
+function buildTidyUserMessage(itemData, context, shortMode) {
+  const spaceName = getSpaceDisplayName(itemData.space);
+  const categoryName = getCategoryName(itemData.category);
+  const hasBA = itemData.hasBeforeAfter;
+  const itemNote = itemData.note && itemData.note.trim() ? itemData.note.trim() : "";
+  // Not the recipient — Tidy's comment is public and that detail isn't
+  const went = DISPOSITIONS[itemData.disposition];
+
+  const contextBlocks = buildTidyContextBlocks(context, [
+    categoryName ? "Category: " + categoryName : "",
+    spaceName ? "Space: " + spaceName : "",
+    went ? "Where it's going: " + went : "",
+    itemNote ? "User note about this item: " + itemNote : "",
+  ]);
 
   const itemBlock = hasBA
     ? `JUST NOW they decluttered WITH before & after photos:
@@ -366,7 +721,48 @@ Do NOT be generic. React to what makes THIS declutter unique.`;
     task = "LENGTH MODE: DETAILED. Write a short, personalized comment (2-3 sentences max).";
   }
 
-  return [userContext, historyBlock, itemBlock, task].join("\n\n");
+  return [...contextBlocks, itemBlock, task].join("\n\n");
+}
+
+/**
+ * Generate Tidy's comment for an item from the owner's history and save it as
+ * comments/tidy. Returns { text, created } — created is false when another
+ * caller (trigger or HTTP fallback) saved one first.
+ */
+async function writeTidyComment(itemRef, itemData) {
+  const context = await loadTidyContext(itemData.userId);
+
+  // 80% short (<8 words), 20% detailed
+  const shortMode = Math.random() < 0.8;
+
+  const userMessage = buildTidyUserMessage({ ...itemData, ...computeItemPoints(itemData) }, context, shortMode);
+
+  // System prompt + user context message
+  const { text: tidyText } = await getProviders().complete("tidyComment", {
+    system: TIDY_SYSTEM_PROMPT,
+    messages: [{ role: "user", content: userMessage }],
+    maxTokens: shortMode ? 60 : 200,
+    userId: itemData.userId,
+  });
+
+  // create() fails if another caller got there first
+  try {
+    await itemRef.collection(COMMENTS_COLLECTION).doc(TIDY_COMMENT_ID).create({
+      userId: null,
+      userName: "Tidy",
+      authorAvatar: "🏠",
+      isAI: true,
+      parentId: null,
+      text: tidyText,
+      // Tidy's own words skip the pre-check, but rules only show approved comments
+      moderation: { status: "approved" },
+      createdAt: FieldValue.serverTimestamp(),
+    });
+  } catch (error) {
+    if (error.code !== 6) throw error; // ALREADY_EXISTS
+    return { text: tidyText, created: false };
+  }
+  return { text: tidyText, created: true };
 }
 
 /**
@@ -391,10 +787,12 @@ exports.generateTidyComment = onDocumentCreated(
       return;
     }
 
-    // Skip if item already has an AI comment (prevent duplicates)
+    // Skip if item already has an AI comment (prevent duplicates) — legacy
+    // items kept it in the comments array, new ones in comments/tidy
+    const tidyRef = snap.ref.collection(COMMENTS_COLLECTION).doc(TIDY_COMMENT_ID);
     if (
-      itemData.comments &&
-      itemData.comments.some((c) => c.isAI)
+      (itemData.comments && itemData.comments.some((c) => c.isAI)) ||
+      (await tidyRef.get()).exists
     ) {
       console.log("[Tidy] Item already has AI comment, skipping.", itemId);
       return;
@@ -403,113 +801,12 @@ exports.generateTidyComment = onDocumentCreated(
     console.log("[Tidy] Generating comment for item:", itemId, itemData.name);
 
     try {
-      // Fetch all user items for context (no orderBy to avoid composite index requirement)
-      const itemsSnapshot = await firestoreDb
-        .collection("items")
-        .where("userId", "==", itemData.userId)
-        .get();
-
-      const allItems = itemsSnapshot.docs.map((d) => ({
-        id: d.id,
-        ...d.data(),
-      }));
-      // Sort by createdAt descending in JS (avoids Firestore composite index)
-      allItems.sort((a, b) => {
-        const aTime = a.createdAt?.toDate
-          ? a.createdAt.toDate().getTime()
-          : 0;
-        const bTime = b.createdAt?.toDate
-          ? b.createdAt.toDate().getTime()
-          : 0;
-        return bTime - aTime;
-      });
-      const totalItems = allItems.length;
-
-      // Recent items (last 7)
-      const recentItems = allItems.slice(0, 7);
-      const recentItemsList = formatRecentItemsList(recentItems);
-
-      // Pattern detection
-      const topSpace = getMostFrequent(recentItems, "space");
-      const topCategory = getMostFrequent(recentItems, "category");
-      const itemsThisWeek = getItemsThisWeek(allItems);
-      const topSpaceName = topSpace ? getSpaceDisplayName(topSpace) : "N/A";
-      const topCategoryName = topCategory
-        ? getCategoryName(topCategory)
-        : "N/A";
-
-      // Fetch user data for vision, streak, score
-      const userSnapshot = await firestoreDb
-        .collection("users")
-        .where("userId", "==", itemData.userId)
-        .get();
-
-      let userVision = "";
-      let currentStreak = 0;
-      let totalPoints = 0;
-      if (!userSnapshot.empty) {
-        const userData = userSnapshot.docs[0].data();
-        userVision = userData.dreamVision || "";
-        currentStreak = userData.streak || 0;
-        totalPoints = userData.score || 0;
-      }
-
-      // 80% short (<8 words), 20% detailed
-      const shortMode = Math.random() < 0.8;
-
-      const userMessage = buildTidyUserMessage(itemData, {
-        userVision,
-        totalItems,
-        currentStreak,
-        totalPoints,
-        itemsThisWeek,
-        topSpaceName,
-        topCategoryName,
-        recentItemsList,
-      }, shortMode);
-
-      // Call Claude API with system prompt + user context message
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), 10000);
-
-      const response = await fetch("https://api.anthropic.com/v1/messages", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "x-api-key": anthropicApiKey.value(),
-          "anthropic-version": "2023-06-01",
-        },
-        body: JSON.stringify({
-          model: "claude-haiku-4-5-20251001",
-          max_tokens: shortMode ? 60 : 200,
-          system: TIDY_SYSTEM_PROMPT,
-          messages: [{ role: "user", content: userMessage }],
-        }),
-        signal: controller.signal,
-      });
-
-      clearTimeout(timeout);
-
-      if (!response.ok) {
-        const errBody = await response.text();
-        console.error("[Tidy] Anthropic API error:", response.status, errBody);
+      const { created } = await writeTidyComment(snap.ref, itemData);
+      if (!created) {
+        console.log("[Tidy] HTTP fallback already saved a comment:", itemId);
         return;
       }
 
-      const result = await response.json();
-      const tidyText = result.content[0].text.trim();
-
-      // Save the AI comment directly to the item document
-      await snap.ref.update({
-        comments: FieldValue.arrayUnion({
-          userName: "Tidy",
-          authorAvatar: "🏠",
-          isAI: true,
-          text: tidyText,
-          createdAt: new Date().toISOString(),
-        }),
-      });
-
       console.log("[Tidy] Comment saved for item:", itemId);
     } catch (error) {
       console.error("[Tidy] Comment generation failed for item:", itemId, error);
@@ -517,405 +814,4298 @@ exports.generateTidyComment = onDocumentCreated(
   }
 );
 
+// --- Item photo auto-fill ---
+// The Add tab sends its compressed item photo here and pre-fills name,
+// category and space from the reply. A photo can hold several items (batch
+// mode); each suggestion carries the model's confidence so the client knows
+// how much to trust it. Nothing is saved — the user still edits and submits.
+
+const ITEM_SUGGEST_MAX_ITEMS = 8;
+// ~1.5MB of JPEG — the client sends a photo resized to 800px
+const ITEM_SUGGEST_MAX_BASE64_CHARS = 2 * 1024 * 1024;
+
+function buildItemSuggestPrompt() {
+  return `You help people log items they are decluttering. Look at this photo and identify the item(s) being let go.
+
+Respond ONLY with valid JSON (no markdown, no backticks) in this shape:
+{
+  "items": [
+    { "name": "Denim jacket", "category": "clothing", "space": "closet", "confidence": 0.9 }
+  ]
+}
+
+Rules:
+- name: 1-4 words, specific and plain ("Denim jacket", not "Clothing item"). Match the language of any visible text; otherwise use English.
+- category: exactly one of ${Object.keys(CATEGORY_NAMES).join(", ")}
+- space: the room it most likely came from, exactly one of ${Object.keys(SPACES).join(", ")}
+- confidence: 0 to 1 — how sure you are about name AND category together
+- If the photo shows one item (or one set, like a pair of shoes or a stack of the same books), return ONE entry.
+- If it clearly shows several different items laid out to be decluttered, return one entry per item, most prominent first, at most ${ITEM_SUGGEST_MAX_ITEMS}.
+- Ignore the background: floors, walls, furniture the items are resting on.
+- If you can't tell what the item is, return one entry with your best guess and a confidence below 0.4.`;
+}
+
 /**
- * analyzeSpace — HTTP endpoint for AI Coach Tidy.
- * Accepts a base64 photo of a messy space, analyzes it with Claude,
- * generates a "cleaned up" visualization with DALL-E, and returns the results.
+ * Keep only well-formed suggestions: known category (else "other" at lower
+ * confidence), known space (else null), confidence clamped to 0-1.
  */
-exports.analyzeSpace = onRequest(
-  {
-    secrets: [anthropicApiKey, openaiApiKey],
-    timeoutSeconds: 120,
-    memory: "512MiB",
-    cors: ALLOWED_ORIGINS,
-  },
+function validateItemSuggestions(value) {
+  const rawItems = Array.isArray(value?.items) ? value.items : [];
+  return rawItems
+    .filter((item) => item && typeof item.name === "string" && item.name.trim())
+    .slice(0, ITEM_SUGGEST_MAX_ITEMS)
+    .map((item) => {
+      const knownCategory = Object.hasOwn(CATEGORY_NAMES, item.category);
+      const confidence = Number.isFinite(item.confidence) ? Math.min(1, Math.max(0, item.confidence)) : 0.5;
+      return {
+        name: item.name.trim().slice(0, 60),
+        category: knownCategory ? item.category : "other",
+        space: Object.hasOwn(SPACES, item.space) ? item.space : null,
+        confidence: Math.round((knownCategory ? confidence : Math.min(confidence, 0.3)) * 100) / 100,
+      };
+    });
+}
+
+/**
+ * suggestItemDetails — HTTP endpoint for the Add tab auto-fill.
+ * Body: { imageBase64 }. Returns { items: [{ name, category, space, confidence }] },
+ * one entry per item seen in the photo.
+ */
+exports.suggestItemDetails = onRequest(
+  { secrets: [anthropicApiKey], cors: ALLOWED_ORIGINS },
   async (req, res) => {
-    if (req.method !== "POST") {
-      res.status(405).json({ error: "Method not allowed" });
+    const decodedToken = await authorizeAIRequest(req, res, "itemSuggest");
+    if (!decodedToken) return;
+
+    const { imageBase64 } = req.body || {};
+    if (typeof imageBase64 !== "string" || !imageBase64) {
+      res.status(400).json({ error: "Missing imageBase64" });
       return;
     }
-
-    const { imageBase64, userId, userVision } = req.body;
-
-    if (!imageBase64 || !userId) {
-      res.status(400).json({ error: "Missing required fields" });
+    const rawBase64 = stripDataUrlPrefix(imageBase64);
+    if (rawBase64.length > ITEM_SUGGEST_MAX_BASE64_CHARS) {
+      res.status(413).json({ error: "Image too large" });
       return;
     }
 
-    const analysisPrompt = `You are "Tidy", an AI decluttering coach for a minimalism app.
+    try {
+      const { text } = await getProviders().complete("itemSuggest", {
+        messages: [{
+          role: "user",
+          content: [
+            { type: "image", source: { type: "base64", media_type: getMediaType(imageBase64), data: rawBase64 } },
+            { type: "text", text: buildItemSuggestPrompt() },
+          ],
+        }],
+        maxTokens: 400,
+        userId: toAppUserId(decodedToken.uid),
+      });
+      const items = validateItemSuggestions(parseModelJson(text));
+      if (!items.length) {
+        console.warn("[ItemSuggest] No usable suggestions in reply:", text.slice(0, 200));
+      }
+      res.json({ items });
+    } catch (error) {
+      console.error("[ItemSuggest] Error:", error);
+      res.status(error.name === "ProviderError" ? 502 : 500).json({
+        error: error.name === "ProviderError" ? "AI service unavailable" : "Internal server error",
+      });
+    }
+  }
+);
 
-Analyze this photo of a messy space. First, carefully list EVERY visible object (furniture, items on surfaces, items on floor, wall decorations — everything). Then suggest how to rearrange and neaten them IN PLACE. Respond ONLY in valid JSON (no markdown, no backticks).
+// --- Marketplace listings ---
+// Drafts a resale listing from an item's photo, name, category and note and
+// saves it on the item as `listing`. The client formats it per marketplace;
+// marking it sold (client-side) sets listing.status "sold" and the item's
+// disposition to "sell".
 
-USER'S VISION: "${userVision || ""}"
+const LISTING_CONDITIONS = ["new", "like_new", "good", "fair", "for_parts"];
+const LISTING_PHOTO_MAX_PX = 1024;
+
+const LISTING_SCHEMA = {
+  title: { required: true, empty: "", check: checkString(80) },
+  description: { required: true, empty: "", check: checkString(1500) },
+  condition: {
+    required: true,
+    empty: "good",
+    check: (raw) => (LISTING_CONDITIONS.includes(raw) ?
+      { value: raw } :
+      { error: `must be one of ${LISTING_CONDITIONS.join(", ")}` }),
+  },
+  priceLow: { required: true, empty: null, check: checkWholeNumber(1000000) },
+  priceHigh: { required: true, empty: null, check: checkWholeNumber(1000000) },
+  currency: {
+    required: false,
+    empty: "USD",
+    check: (raw) => (typeof raw === "string" && /^[A-Z]{3}$/.test(raw) ? { value: raw } : { error: "must be an ISO 4217 code" }),
+  },
+  tags: { required: false, empty: [], check: (raw) => checkStringList(raw) },
+};
+
+function validateListing(value) {
+  const source = value && typeof value === "object" && !Array.isArray(value) ? value : {};
+  const listing = {};
+  const errors = [];
+  for (const [field, rule] of Object.entries(LISTING_SCHEMA)) {
+    const checked = source[field] === undefined || source[field] === null ?
+      { error: "is missing" } :
+      rule.check(source[field]);
+    if (checked.error && rule.required) errors.push(`${field} ${checked.error}`);
+    listing[field] = checked.error ? rule.empty : checked.value;
+  }
+  listing.tags = listing.tags.slice(0, 10).map((tag) => tag.replace(/^#/, "").slice(0, 30));
+  if (listing.priceLow !== null && listing.priceHigh !== null && listing.priceLow > listing.priceHigh) {
+    [listing.priceLow, listing.priceHigh] = [listing.priceHigh, listing.priceLow];
+  }
+  return { listing, errors };
+}
+
+function buildListingPrompt(itemData, locale) {
+  const note = itemData.note && itemData.note.trim() ? itemData.note.trim().slice(0, 500) : "";
+  return `Write a secondhand marketplace listing for this item${itemData.image ? " (photo attached)" : ""}.
 
+ITEM: ${String(itemData.name || "").slice(0, 100)}
+CATEGORY: ${getCategoryName(itemData.category)}
+${note ? `OWNER'S NOTE: ${note}\n` : ""}SELLER LOCALE: ${locale}
+
+Respond ONLY with valid JSON (no markdown, no backticks):
 {
-  "spaceName": "Bedroom",
-  "visibleItems": ["bed with rumpled blanket", "wooden bookshelf", "desk with laptop", "office chair with jacket draped over it", "stack of books on floor", "coffee mug on desk", "pile of clothes on bed", "sneakers by door", "trash wrapper on desk", "water bottle on floor", "backpack leaning on wall"],
-  "itemArrangements": [
-    "bed with blanket smoothed and pulled flat",
-    "jacket moved from chair to a hook or folded on bed corner",
-    "books stacked upright on bookshelf",
-    "coffee mug centered on desk beside laptop",
-    "clothes folded in a neat pile on bed corner",
-    "sneakers paired neatly side by side by door",
-    "water bottle standing upright on desk",
-    "backpack standing upright against wall"
-  ],
-  "trashToRemove": ["trash wrapper on desk"],
-  "misplacedItems": ["dirty plate that belongs in kitchen", "random shopping bag"],
-  "itemCount": 11,
-  "steps": [
-    { "text": "Clothes on bed → fold into a neat stack on bed corner", "minutes": 3 },
-    { "text": "Books on floor → stand upright on bookshelf", "minutes": 2 },
-    { "text": "Dirty plate → return to kitchen", "minutes": 1 },
-    { "text": "Trash wrapper → throw away", "minutes": 1 },
-    { "text": "Sneakers → pair neatly by door", "minutes": 1 }
-  ],
-  "totalMinutes": 7,
-  "mainTip": "The 'everything has a home' rule — each item gets returned to its spot. 60-second nightly reset keeps it maintained.",
-  "encouragement": "This space has great bones! About 7 minutes of rearranging will make a huge difference:"
+  "title": "IKEA Poäng armchair, birch/beige — great condition",
+  "description": "2-5 short sentences: what it is, brand/model if visible, size, honest condition including any visible wear, and why it's being sold if the note says.",
+  "condition": "good",
+  "priceLow": 40,
+  "priceHigh": 60,
+  "currency": "USD",
+  "tags": ["armchair", "ikea", "living room"]
 }
 
-Rules for steps:
-- NEVER suggest buying anything (no bins, organizers, containers, shelves, products)
-- Suggest REARRANGING items in place (fold, stack, align, group, straighten, pair) — NOT removing them
-- trashToRemove: actual garbage (wrappers, used tissues, empty containers)
-- misplacedItems: objects that clearly do NOT belong in this type of space (e.g. dirty dishes in a bedroom, random shopping bags, shoes in the kitchen). These are items someone would carry back to their proper room. Do NOT put furniture, decor, books, electronics, or personal items that reasonably belong in this space
-- Tips should be about HABITS, not purchases
-- Match the user's language (Korean photo context → Korean response, etc.)
-- Keep steps actionable and specific
-- visibleItems MUST list EVERY object you can see — furniture, items on surfaces, items on floor, wall items. Be exhaustive.
-- itemArrangements MUST describe the SAME items in their neatened state — same count, same objects, just repositioned/straightened/folded
-- Do NOT include an imagePrompt field — it will be built from your visibleItems and itemArrangements automatically`;
+Rules:
+- condition: one of ${LISTING_CONDITIONS.join(", ")} — judge from the photo; never claim better than you can see.
+- priceLow/priceHigh: whole numbers for a realistic USED price range in the seller's local currency (ISO code in "currency").
+- title under 80 characters, no emoji, no ALL CAPS.
+- Never invent accessories, receipts or warranties that aren't mentioned or visible.
+- Write in the language of the seller's locale.
+- 3-8 lowercase tags without "#".`;
+}
 
-    try {
-      // STEP 1: Claude API — analyze the photo
-      console.log("[Coach] Analyzing space for user:", userId);
-      const detectedMediaType = getMediaType(imageBase64);
-      const rawBase64 = stripDataUrlPrefix(imageBase64);
-      const analysisResponse = await fetch(
-        "https://api.anthropic.com/v1/messages",
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            "x-api-key": anthropicApiKey.value(),
-            "anthropic-version": "2023-06-01",
-          },
-          body: JSON.stringify({
-            model: "claude-haiku-4-5-20251001",
-            max_tokens: 800,
-            messages: [
-              {
-                role: "user",
-                content: [
-                  {
-                    type: "image",
-                    source: {
-                      type: "base64",
-                      media_type: detectedMediaType,
-                      data: rawBase64,
-                    },
-                  },
-                  {
-                    type: "text",
-                    text: analysisPrompt,
-                  },
-                ],
-              },
-            ],
-          }),
-        }
-      );
+// Item photo downsized for a vision call, or null if it can't be read
+async function loadItemPhotoForModel(imageUrl) {
+  const bucket = getStorage().bucket();
+  const path = imageUrl ? resolveProxyPath({ url: imageUrl }, bucket.name) : null;
+  if (!path) return null;
+  try {
+    const [contents] = await bucket.file(path).download();
+    const jpeg = await sharp(contents)
+      .rotate()
+      .resize(LISTING_PHOTO_MAX_PX, LISTING_PHOTO_MAX_PX, { fit: "inside", withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+    return jpeg.toString("base64");
+  } catch (error) {
+    console.warn("[Listing] Photo unavailable:", path, error.message);
+    return null;
+  }
+}
 
-      if (!analysisResponse.ok) {
-        const errText = await analysisResponse.text();
-        console.error("[Coach] Claude API error:", analysisResponse.status, errText);
-        res.status(502).json({ error: "Analysis failed" });
+/**
+ * generateListing — HTTP endpoint for the "Sell it" sheet.
+ * Body: { itemId, locale? }. Drafts a listing for the caller's item, saves it
+ * as item.listing (replacing any earlier draft) and returns it.
+ */
+exports.generateListing = onRequest(
+  { secrets: [anthropicApiKey], memory: "512MiB", cors: ALLOWED_ORIGINS },
+  async (req, res) => {
+    const decodedToken = await authorizeAIRequest(req, res, "listing");
+    if (!decodedToken) return;
+
+    try {
+      const itemSnap = await getOwnedItem(req.body?.itemId, decodedToken.uid);
+      if (!itemSnap) {
+        res.status(404).json({ error: "Item not found" });
+        return;
+      }
+      const itemData = itemSnap.data();
+      if (itemData.listing?.status === "sold") {
+        res.status(409).json({ error: "This item is already sold" });
         return;
       }
+      const locale = typeof req.body.locale === "string" && /^[A-Za-z-]{2,20}$/.test(req.body.locale) ?
+        req.body.locale :
+        "en-US";
 
-      const analysisData = await analysisResponse.json();
-      const analysisText = analysisData.content[0].text;
+      const photoBase64 = await loadItemPhotoForModel(itemData.image);
+      const content = [{ type: "text", text: buildListingPrompt(itemData, locale) }];
+      if (photoBase64) {
+        content.unshift({ type: "image", source: { type: "base64", media_type: "image/jpeg", data: photoBase64 } });
+      }
+      const { text } = await getProviders().complete("listing", {
+        messages: [{ role: "user", content }],
+        maxTokens: 700,
+        userId: toAppUserId(decodedToken.uid),
+      });
 
-      // STEP 2: Parse the analysis JSON
-      let parsed;
-      try {
-        parsed = JSON.parse(analysisText);
-      } catch (parseErr) {
-        console.error("[Coach] JSON parse error:", parseErr, analysisText);
-        // Try to extract JSON from the text
-        const jsonMatch = analysisText.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          parsed = JSON.parse(jsonMatch[0]);
-        } else {
-          res.status(502).json({ error: "Analysis returned invalid format" });
-          return;
-        }
+      const { listing, errors } = validateListing(parseModelJson(text));
+      if (errors.length) {
+        console.warn("[Listing] Invalid reply:", errors.join("; "));
+        res.status(502).json({ error: "Listing came back incomplete. Please try again." });
+        return;
       }
 
-      // STEP 3: Build the image edit prompt from visibleItems + itemArrangements
-      const items = parsed.visibleItems || [];
-      const arrangements = parsed.itemArrangements || [];
-      const trash = parsed.trashToRemove || [];
-      const misplaced = parsed.misplacedItems || [];
-      const removable = [...trash, ...misplaced];
+      const saved = { ...listing, status: "draft", soldPrice: null, generatedAt: new Date().toISOString() };
+      await itemSnap.ref.update({ listing: saved });
+      res.json({ listing: saved });
+    } catch (error) {
+      console.error("[Listing] Error:", error);
+      res.status(error.name === "ProviderError" ? 502 : 500).json({
+        error: error.name === "ProviderError" ? "AI service unavailable" : "Internal server error",
+      });
+    }
+  }
+);
 
-      let builtImagePrompt;
-      if (items.length > 0 && arrangements.length > 0) {
-        const removableLower = removable.map((r) => r.toLowerCase());
-        const keepList = items.filter((i) => !removableLower.some((r) => i.toLowerCase().includes(r.split(" ")[0])));
-        builtImagePrompt = [
-          "CRITICAL INSTRUCTION: This is a REARRANGING task, NOT a removing task.",
-          "Show the SAME room with the SAME objects — just neatly repositioned and straightened.",
-          "DO NOT erase, delete, or make any objects disappear EXCEPT the specific removable items listed below.",
-          "",
-          `ITEMS THAT MUST STAY (${keepList.length} objects — all must be visible in result):`,
-          ...keepList.map((item, i) => `  ${i + 1}. ${item}`),
-          "",
-          "HOW TO REARRANGE THEM:",
-          ...arrangements.map((arr, i) => `  ${i + 1}. ${arr}`),
-          "",
-          removable.length > 0 ? `THESE items may be removed (trash or misplaced): ${removable.join(", ")}` : "",
-          "",
-          "RULES:",
-          "- Same room, same camera angle, same walls, same floor, same lighting, same colors.",
-          "- The number of visible objects should be approximately the SAME as the original photo minus the removable items.",
-          "- The room should look lived-in and realistic — like someone spent 1 hour straightening up.",
-          "- DO NOT make surfaces empty. Items stay on surfaces but get aligned and grouped.",
-          "- DO NOT make the room look like a magazine photo or a showroom.",
-          "- Realistic photo style matching the original image.",
-        ].filter(Boolean).join("\n");
-      } else {
-        builtImagePrompt = parsed.imagePrompt || null;
-      }
+// --- Server-authoritative scoring ---
 
-      // STEP 4: OpenAI image edit — generate the "after" image by editing the original photo
-      let afterImageUrl = null;
-      const oaiKey = openaiApiKey.value();
-      if (!oaiKey) {
-        console.log("[Coach] OPENAI_API_KEY not configured, skipping image generation");
-      }
-      if (oaiKey) try {
-        console.log("[Coach] Generating after image with gpt-image-1 edit");
-        console.log("[Coach] Image prompt length:", (builtImagePrompt || "").length, "chars");
+// Points are always derived from the item's category and photos, never from
+// whatever the client wrote. B&A bonus requires both photos to be the owner's
+// own uploads in our bucket — item photos, or a Coach Tidy before photo.
+function computeItemPoints(itemData) {
+  const basePoints = CATEGORY_POINTS[itemData.category] || 5;
+  const hasBeforeAfter = !!(
+    itemData.hasBeforeAfter &&
+    itemData.beforePhotoURL !== itemData.afterPhotoURL &&
+    getOwnUploadPath(itemData.beforePhotoURL, itemData.userId) &&
+    getOwnUploadPath(itemData.afterPhotoURL, itemData.userId)
+  );
+  const bonusPoints = hasBeforeAfter ? BA_BONUS_POINTS : 0;
+  return { points: basePoints + bonusPoints, bonusPoints, hasBeforeAfter };
+}
 
-        const imageBuffer = Buffer.from(rawBase64, "base64");
-        const imageBlob = new Blob([imageBuffer], { type: detectedMediaType });
-        const ext = detectedMediaType === "image/png" ? "png" : "jpg";
+// Storage path of a photo URL if it's under one of the user's own upload
+// prefixes in our bucket, else null
+function getOwnUploadPath(url, userId) {
+  if (typeof url !== "string" || !userId) return null;
+  const path = resolveProxyPath({ url }, getStorage().bucket().name);
+  return path && [`items/${userId}/`, `coach/${userId}/`].some((prefix) => path.startsWith(prefix)) ? path : null;
+}
 
-        const fallbackPrompt = "REARRANGING task — NOT a removing task. Show the exact same room with the exact same furniture and belongings, but neatly repositioned. Fold clothes into neat stacks, stand books upright, align items on surfaces into groups, pair shoes neatly. DO NOT erase or delete ANY objects — every piece of furniture and every item must remain visible. Only remove actual trash (wrappers, tissues) and items that clearly do not belong in this type of room. The room should look like someone spent 1 hour straightening up — still lived-in, not empty. Same angle, same lighting, same background. Realistic photo.";
+// computeItemPoints only checks where the URLs point; on create, make sure
+// both objects are really there before the bonus is stamped
+async function beforeAfterPhotosExist(itemData) {
+  const bucket = getStorage().bucket();
+  const checks = await Promise.all([itemData.beforePhotoURL, itemData.afterPhotoURL]
+    .map((url) => bucket.file(getOwnUploadPath(url, itemData.userId)).exists()));
+  return checks.every(([exists]) => exists);
+}
 
-        const formData = new FormData();
-        formData.append("image", imageBlob, `photo.${ext}`);
-        formData.append("model", "gpt-image-1");
-        formData.append("prompt", builtImagePrompt || fallbackPrompt);
-        formData.append("n", "1");
-        formData.append("size", "1024x1024");
-        formData.append("quality", "medium");
-
-        const editResponse = await fetch(
-          "https://api.openai.com/v1/images/edits",
-          {
-            method: "POST",
-            headers: {
-              Authorization: `Bearer ${oaiKey}`,
-            },
-            body: formData,
-          }
-        );
+// An item logged from a Coach Tidy session closes it, once: the session moves
+// to "logged" with loggedItemId pointing at the item. Resolves the session's
+// before photo URL, or null if it isn't the owner's or was already logged.
+async function logCoachSession(itemRef, itemData) {
+  if (typeof itemData.coachSessionId !== "string" || itemData.coachSessionId.includes("/")) return null;
+  const sessionRef = firestoreDb.collection("coachSessions").doc(itemData.coachSessionId);
+  return firestoreDb.runTransaction(async (transaction) => {
+    const session = await transaction.get(sessionRef);
+    if (!session.exists || session.get("userId") !== itemData.userId || session.get("status") === "logged") {
+      return null;
+    }
+    transaction.update(sessionRef, {
+      status: "logged",
+      loggedItemId: itemRef.id,
+      loggedAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    return session.get("beforeImageUrl") || null;
+  });
+}
 
-        if (editResponse.ok) {
-          const editResult = await editResponse.json();
-          const b64Image = editResult.data[0].b64_json;
-          const imgBuffer = Buffer.from(b64Image, "base64");
-
-          const bucket = getStorage().bucket();
-          const timestamp = Date.now();
-          const filePath = `coach/${userId}/${timestamp}_after.png`;
-          const file = bucket.file(filePath);
-          await file.save(imgBuffer, {
-            contentType: "image/png",
-            metadata: { cacheControl: "public,max-age=31536000" },
-          });
-          await file.makePublic();
-          afterImageUrl = `https://storage.googleapis.com/${bucket.name}/${filePath}`;
-        } else {
-          const editErr = await editResponse.text();
-          console.error("[Coach] Image edit error:", editResponse.status, editErr);
-          // Continue without after image — analysis is still useful
-        }
-      } catch (editError) {
-        console.error("[Coach] Image edit generation failed:", editError);
-        // Continue without after image
-      }
+// A kid's item waiting for (or turned down by) a parent counts toward nothing
+function countsTowardStats(itemData) {
+  return !itemData.approval || itemData.approval === "approved";
+}
 
-      // STEP 5: Save before photo to Storage
-      try {
-        const beforeBuffer = Buffer.from(rawBase64, "base64");
-        const bucket = getStorage().bucket();
-        const timestamp = Date.now();
-        const ext = detectedMediaType === "image/png" ? "png" : "jpg";
-        const beforePath = `coach/${userId}/${timestamp}_before.${ext}`;
-        const beforeFile = bucket.file(beforePath);
-        await beforeFile.save(beforeBuffer, {
-          contentType: detectedMediaType,
-          metadata: { cacheControl: "public,max-age=31536000" },
-        });
-        await beforeFile.makePublic();
-        const beforeUrl = `https://storage.googleapis.com/${bucket.name}/${beforePath}`;
+function toDateValue(value) {
+  if (!value) return null;
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
 
-        // Save session to Firestore
-        await firestoreDb.collection("coachSessions").add({
-          userId,
-          beforeImageUrl: beforeUrl,
-          afterImageUrl: afterImageUrl || null,
-          analysis: parsed,
-          createdAt: FieldValue.serverTimestamp(),
-        });
-      } catch (saveError) {
-        console.error("[Coach] Save error:", saveError);
-        // Non-fatal — return results anyway
-      }
+// Items queued offline get a server createdAt when they finally sync. The
+// capture time the client sent counts instead only if it's at most a few days
+// old and not in the future, so a backdated write can't fill old streak days.
+const OFFLINE_CAPTURE_MAX_AGE_MS = 3 * 24 * 60 * 60 * 1000;
 
-      console.log("[Coach] Analysis complete for user:", userId);
-      res.json({
-        analysis: parsed,
-        afterImageUrl,
-      });
-    } catch (error) {
-      console.error("[Coach] analyzeSpace error:", error);
-      res.status(500).json({ error: "Internal server error" });
-    }
+function getItemDate(itemData) {
+  const created = toDateValue(itemData.createdAt);
+  const captured = itemData.capturedOffline ? toDateValue(itemData.capturedAt) : null;
+  if (created && captured && captured <= created && created - captured <= OFFLINE_CAPTURE_MAX_AGE_MS) {
+    return captured;
   }
-);
+  return created;
+}
+
+// --- Streak engine ---
+
+function normalizeTimezone(timezone) {
+  if (typeof timezone !== "string" || !timezone) return "UTC";
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return timezone;
+  } catch (error) {
+    return "UTC";
+  }
+}
+
+const dayKeyFormatters = new Map();
+
+// Local calendar day ("YYYY-MM-DD") of a moment in the given IANA timezone,
+// shifted back by the grace window so a 1am session counts toward the night before.
+function toLocalDayKey(date, timezone, graceHours = 0) {
+  let formatter = dayKeyFormatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-CA", {
+      timeZone: timezone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+    });
+    dayKeyFormatters.set(timezone, formatter);
+  }
+  return formatter.format(new Date(date.getTime() - graceHours * 3600000));
+}
+
+function shiftDayKey(dayKey, days) {
+  const date = new Date(dayKey + "T00:00:00Z");
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
 
 /**
- * imageProxy — HTTP endpoint that proxies Firebase Storage images with proper CORS headers.
- * Used by the share image generator to draw photos on canvas without tainting it.
+ * Replay a user's active days from the first one up to today.
+ * Every `freezeEvery` active days in a run earns a freeze (capped at
+ * `freezeMax`); a missed day spends one instead of breaking the streak.
+ * Today never breaks the streak — it isn't over yet.
+ * Returns { current, longest, freezes, frozenDays } where frozenDays are the
+ * bridged days inside the current streak.
  */
-exports.imageProxy = onRequest(
-  { cors: ALLOWED_ORIGINS },
-  async (req, res) => {
-    const url = req.query.url;
-    if (!url || (!url.includes('firebasestorage.googleapis.com') && !url.includes('storage.googleapis.com'))) {
-      res.status(400).json({ error: "Invalid or missing image URL" });
-      return;
-    }
+function computeStreakStats(dayKeys, todayKey, { freezeEvery, freezeMax }) {
+  const activeDays = new Set(dayKeys.filter((key) => key <= todayKey));
+  const stats = { current: 0, longest: 0, freezes: 0, frozenDays: [] };
+  if (!activeDays.size) return stats;
 
-    try {
-      const response = await fetch(url);
-      if (!response.ok) {
-        res.status(response.status).json({ error: "Failed to fetch image" });
-        return;
+  let run = 0;
+  let freezes = 0;
+  let frozenDays = [];
+  for (let day = [...activeDays].sort()[0]; day <= todayKey; day = shiftDayKey(day, 1)) {
+    if (activeDays.has(day)) {
+      run++;
+      if (freezeEvery > 0 && run % freezeEvery === 0) {
+        freezes = Math.min(freezes + 1, freezeMax);
       }
+      stats.longest = Math.max(stats.longest, run);
+    } else if (day === todayKey) {
+      continue;
+    } else if (run > 0 && freezes > 0) {
+      freezes--;
+      frozenDays.push(day);
+    } else {
+      run = 0;
+      frozenDays = [];
+    }
+  }
 
-      const contentType = response.headers.get("content-type") || "image/jpeg";
-      const buffer = Buffer.from(await response.arrayBuffer());
+  stats.current = run;
+  stats.freezes = freezes;
+  stats.frozenDays = run > 0 ? frozenDays : [];
+  return stats;
+}
 
-      res.set("Content-Type", contentType);
-      res.set("Cache-Control", "public, max-age=86400");
-      res.send(buffer);
-    } catch (error) {
-      console.error("[imageProxy] Error:", error);
-      res.status(500).json({ error: "Proxy fetch failed" });
+function toDayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function toWeekStartKey(dayKey) {
+  const weekday = new Date(dayKey + "T00:00:00Z").getUTCDay();
+  return shiftDayKey(dayKey, -((weekday + 6) % 7));
+}
+
+// --- Badge engine ---
+// Badges are data: each entry in badges.json has a `rule` of one of the types
+// below, measured against metrics rebuilt from the user's items.
+
+function getBadgeProgress(rule, metrics) {
+  switch (rule.type) {
+    case "itemCount":
+      return { current: metrics.itemCount, target: rule.target };
+    case "longestStreak":
+      return { current: metrics.longestStreak, target: rule.target };
+    case "points":
+      return { current: metrics.score, target: rule.target };
+    case "baCount":
+      return { current: metrics.baCount, target: rule.target };
+    case "categoryCount":
+      return { current: metrics.categoryCounts[rule.category] || 0, target: rule.target };
+    case "spaceCount":
+      return { current: metrics.spaceCounts[rule.space] || 0, target: rule.target };
+    case "weeklyItems":
+      return { current: metrics.bestWeekItems, target: rule.target };
+    case "allSpaces": {
+      const spaces = Object.keys(SPACES);
+      return { current: spaces.filter((space) => metrics.spaceCounts[space]).length, target: spaces.length };
     }
+    default:
+      console.warn("[Badges] Unknown rule type:", rule.type);
+      return null;
   }
-);
+}
 
 /**
- * createCheckoutSession — Callable function for Stripe checkout session creation.
- * Takes a "plan" parameter ("monthly" or "yearly") and returns a checkout URL.
+ * Evaluate every badge definition against the metrics. Earned badges are
+ * never revoked (deleting items doesn't take a badge back), and badgeProgress
+ * carries display info so the client needs no copy of the definitions.
  */
-exports.createCheckoutSession = onCall(
-  { secrets: [stripeSecretKey] },
-  async (request) => {
-    const uid = request.auth?.uid;
-    if (!uid) {
-      throw new Error("You must be logged in to subscribe.");
+function evaluateBadges(metrics, earnedBadges = []) {
+  const badges = [...earnedBadges];
+  const badgeProgress = [];
+  BADGE_DEFINITIONS.forEach((definition) => {
+    const progress = getBadgeProgress(definition.rule, metrics);
+    if (!progress) return;
+    if (progress.current >= progress.target && !badges.includes(definition.id)) {
+      badges.push(definition.id);
     }
+    badgeProgress.push({
+      id: definition.id,
+      icon: definition.icon,
+      name: definition.name,
+      desc: definition.desc,
+      current: Math.min(progress.current, progress.target),
+      target: progress.target,
+    });
+  });
+  return { badges, badgeProgress };
+}
 
-    const { plan } = request.data;
-    if (!plan || !["monthly", "yearly"].includes(plan)) {
-      throw new Error("Invalid plan. Must be 'monthly' or 'yearly'.");
+/**
+ * Rebuild score, itemCount, streaks, badges and lastDeclutterDate for one user from
+ * their items, inside a transaction so concurrent creates/deletes can't race.
+ * Each item is bucketed into its local day in the owner's private timezone (or
+ * `options.timezone`, which is also saved there) — never a timezone written on the
+ * item, which would let a client move items onto other days. With `options.createIfMissing` (new items only) it creates
+ * the users doc if the user has no profile yet; otherwise a missing profile is
+ * left alone so late delete triggers can't resurrect a deleted account.
+ */
+async function recomputeUserStats(userId, fallbackName = "", options = {}) {
+  const itemsQuery = firestoreDb
+    .collection("items")
+    .where("userId", "==", userId);
+  const userQuery = firestoreDb
+    .collection("users")
+    .where("userId", "==", userId)
+    .limit(1);
+  const privateRef = userPrivateRef(userId);
+
+  return firestoreDb.runTransaction(async (transaction) => {
+    const itemsSnapshot = await transaction.get(itemsQuery);
+    const userSnapshot = await transaction.get(userQuery);
+    const privateSnap = await transaction.get(privateRef);
+    const itemDocs = itemsSnapshot.docs.filter((itemDoc) => countsTowardStats(itemDoc.data()));
+
+    const userData = userSnapshot.empty ? {} : userSnapshot.docs[0].data();
+    const timezone = normalizeTimezone(options.timezone || privateSnap.get("timezone"));
+    const graceHours = streakGraceHours.value();
+
+    const periodKeys = getPeriodKeys();
+    let score = 0;
+    let weekScore = 0;
+    let monthScore = 0;
+    let baCount = 0;
+    let lastDeclutterDate = null;
+    const dayKeys = [];
+    const categoryCounts = {};
+    const spaceCounts = {};
+    const weekCounts = {};
+    itemDocs.forEach((itemDoc) => {
+      const data = itemDoc.data();
+      const itemPoints = computeItemPoints(data);
+      score += itemPoints.points;
+      if (itemPoints.hasBeforeAfter) baCount++;
+      if (data.category) categoryCounts[data.category] = (categoryCounts[data.category] || 0) + 1;
+      if (data.space) spaceCounts[data.space] = (spaceCounts[data.space] || 0) + 1;
+      const created = getItemDate(data);
+      if (!created) return;
+      const dayKey = toLocalDayKey(created, timezone, graceHours);
+      dayKeys.push(dayKey);
+      const weekKey = toWeekStartKey(dayKey);
+      weekCounts[weekKey] = (weekCounts[weekKey] || 0) + 1;
+      // Leaderboard periods are global, so they use UTC days rather than local ones
+      const utcDayKey = toDayKey(created);
+      if (toWeekStartKey(utcDayKey) === periodKeys.week) weekScore += itemPoints.points;
+      if (utcDayKey.slice(0, 7) === periodKeys.month) monthScore += itemPoints.points;
+      if (!lastDeclutterDate || created > lastDeclutterDate) lastDeclutterDate = created;
+    });
+
+    const streakStats = computeStreakStats(
+      dayKeys,
+      toLocalDayKey(new Date(), timezone, graceHours),
+      { freezeEvery: streakFreezeEvery.value(), freezeMax: streakFreezeMax.value() }
+    );
+
+    const { badges, badgeProgress } = evaluateBadges({
+      itemCount: itemDocs.length,
+      score,
+      baCount,
+      longestStreak: Math.max(streakStats.longest, userData.longestStreak || 0),
+      categoryCounts,
+      spaceCounts,
+      bestWeekItems: Math.max(0, ...Object.values(weekCounts)),
+    }, userData.badges || []);
+
+    const stats = {
+      score,
+      itemCount: itemDocs.length,
+      streak: streakStats.current,
+      longestStreak: streakStats.longest,
+      streakFreezes: streakStats.freezes,
+      streakFrozenDays: streakStats.frozenDays,
+      badges,
+      badgeProgress,
+      weekKey: periodKeys.week,
+      weekScore,
+      monthKey: periodKeys.month,
+      monthScore,
+      lastDeclutterDate,
+      statsUpdatedAt: FieldValue.serverTimestamp(),
+    };
+
+    if (userSnapshot.empty) {
+      if (!options.createIfMissing) return stats;
+      transaction.set(firestoreDb.collection("users").doc(), {
+        userId,
+        name: fallbackName,
+        createdAt: FieldValue.serverTimestamp(),
+        ...stats,
+      });
+    } else {
+      transaction.update(userSnapshot.docs[0].ref, stats);
     }
+    if (options.timezone) transaction.set(privateRef, { timezone }, { merge: true });
+    return stats;
+  });
+}
+
+/**
+ * scoreItemOnCreate — Firestore onCreate trigger.
+ * Stamps the authoritative points/bonus and household fields on the new item
+ * and recomputes the owner's score, item count, streak and badges, then
+ * their household's.
+ */
+exports.scoreItemOnCreate = onDocumentCreated("items/{itemId}", async (event) => {
+  const snap = event.data;
+  if (!snap) return;
 
-    const priceId =
-      plan === "monthly"
-        ? "price_1T5IWcFosVvw5kdM3O60ZCbj"
-        : "price_1T5IXMFosVvw5kdMyJvqjzid";
+  const itemData = snap.data();
+  const itemId = event.params.itemId;
+  if (!itemData.userId) {
+    console.log("[Score] Item has no userId, skipping.", itemId);
+    return;
+  }
 
-    const stripe = new Stripe(stripeSecretKey.value());
+  try {
+    // A Coach Tidy before photo only earns the bonus on the item that logs its session
+    const sessionBeforeUrl = itemData.coachSessionId ? await logCoachSession(snap.ref, itemData) : null;
+    const beforePath = getOwnUploadPath(itemData.beforePhotoURL, itemData.userId);
+    const reusedCoachPhoto = !!beforePath?.startsWith("coach/") && sessionBeforeUrl !== itemData.beforePhotoURL;
+    let scored = computeItemPoints(itemData);
+    if (scored.hasBeforeAfter && (reusedCoachPhoto || !(await beforeAfterPhotosExist(itemData)))) {
+      scored = computeItemPoints({ ...itemData, hasBeforeAfter: false });
+    }
+    const { points, bonusPoints, hasBeforeAfter } = scored;
+    const householdFields = await getItemHouseholdFields(itemData);
+    await snap.ref.update({ points, bonusPoints, hasBeforeAfter, ...householdFields });
+    await syncFeedVisible(snap.ref);
 
-    const session = await stripe.checkout.sessions.create({
-      mode: "subscription",
-      payment_method_types: ["card"],
-      line_items: [{ price: priceId, quantity: 1 }],
-      success_url: "https://tacogong0621.github.io/success",
-      cancel_url: "https://tacogong0621.github.io",
-      metadata: { uid },
+    const stats = await recomputeUserStats(itemData.userId, itemData.userName || "", {
+      createIfMissing: true,
     });
+    console.log("[Score] Item scored:", itemId, points, "user stats:", stats.score, stats.itemCount, stats.streak);
 
-    return { url: session.url };
+    if (typeof householdFields.householdId === "string") {
+      if (householdFields.approval === "pending") {
+        await notifyHouseholdParents(householdFields.householdId, itemId, itemData);
+      }
+      await recomputeHouseholdStats(householdFields.householdId);
+    }
+  } catch (error) {
+    console.error("[Score] Scoring failed for item:", itemId, error);
   }
-);
+});
 
 /**
- * stripeWebhook — HTTP endpoint that handles Stripe webhook events.
- * Listens for checkout.session.completed and customer.subscription.deleted
- * to update the user's isPremium status in Firestore.
+ * scoreItemOnDelete — Firestore onDelete trigger.
+ * Replays the owner's remaining items so score and streak drop correctly.
  */
-exports.stripeWebhook = onRequest(
-  { secrets: [stripeSecretKey, stripeWebhookSecret] },
-  async (req, res) => {
-    if (req.method !== "POST") {
-      res.status(405).send("Method not allowed");
-      return;
+exports.scoreItemOnDelete = onDocumentDeleted("items/{itemId}", async (event) => {
+  const snap = event.data;
+  if (!snap) return;
+
+  const itemData = snap.data();
+  if (!itemData.userId) return;
+
+  try {
+    const stats = await recomputeUserStats(itemData.userId);
+    console.log("[Score] Item deleted:", event.params.itemId, "user stats:", stats.score, stats.itemCount, stats.streak);
+    if (itemData.householdId) await recomputeHouseholdStats(itemData.householdId);
+  } catch (error) {
+    console.error("[Score] Rescoring failed after delete:", event.params.itemId, error);
+  }
+});
+
+/**
+ * syncStreak — Callable invoked on app open.
+ * Saves the device's IANA timezone and re-evaluates the streak, since streaks
+ * can lapse (or spend a freeze) on days when no item is written.
+ */
+exports.syncStreak = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Sign in required.");
+  }
+  const userId = toAppUserId(request.auth.uid);
+  const userDoc = await findUserDoc(userId);
+  if (!userDoc) return { synced: false };
+
+  const timezone = request.data?.timezone;
+  if (timezone && normalizeTimezone(timezone) !== timezone) {
+    throw new HttpsError("invalid-argument", "Unknown timezone.");
+  }
+  const stats = await recomputeUserStats(userId, "", { timezone });
+  // The household streak can lapse on a quiet day too
+  if (userDoc.data().householdId) await recomputeHouseholdStats(userDoc.data().householdId);
+  return {
+    synced: true,
+    streak: stats.streak,
+    longestStreak: stats.longestStreak,
+    streakFreezes: stats.streakFreezes,
+  };
+});
+
+/**
+ * recomputeAllUserStats — Callable one-off repair job (admin only).
+ * Rebuilds every users doc from its items, fixing scores written by old clients.
+ * Also the badge backfill: run it after adding a badge to badges.json.
+ */
+exports.recomputeAllUserStats = onCall(
+  { timeoutSeconds: 540, memory: "512MiB" },
+  async (request) => {
+    if (request.auth?.token?.admin !== true) {
+      throw new HttpsError("permission-denied", "Admin only.");
     }
 
-    const stripe = new Stripe(stripeSecretKey.value());
-    const sig = req.headers["stripe-signature"];
+    const usersSnapshot = await firestoreDb.collection("users").get();
+    const userIds = new Set();
+    usersSnapshot.forEach((userDoc) => {
+      const userId = userDoc.get("userId");
+      if (userId) userIds.add(userId);
+    });
 
-    let event;
-    try {
-      event = stripe.webhooks.constructEvent(
-        req.rawBody,
-        sig,
-        stripeWebhookSecret.value()
-      );
-    } catch (err) {
-      console.error("[StripeWebhook] Signature verification failed:", err.message);
-      res.status(400).send(`Webhook Error: ${err.message}`);
-      return;
+    let repaired = 0;
+    const failed = [];
+    for (const userId of userIds) {
+      try {
+        await recomputeUserStats(userId);
+        repaired++;
+      } catch (error) {
+        console.error("[Score] Recompute failed for user:", userId, error);
+        failed.push(userId);
+      }
     }
 
-    if (event.type === "checkout.session.completed") {
-      const session = event.data.object;
-      const uid = session.metadata?.uid;
-      if (uid) {
-        await firestoreDb.doc(`users/${uid}`).set(
-          { isPremium: true },
-          { merge: true }
-        );
-        console.log("[StripeWebhook] Set isPremium=true for user:", uid);
-      }
-    } else if (event.type === "customer.subscription.deleted") {
-      const subscription = event.data.object;
-      // Retrieve the original checkout session to get the uid from metadata
-      const sessions = await stripe.checkout.sessions.list({
-        subscription: subscription.id,
-        limit: 1,
+    console.log("[Score] Recompute finished:", repaired, "repaired,", failed.length, "failed");
+    return { repaired, failed };
+  }
+);
+
+/**
+ * migrateUserPrivate — Callable one-off repair job (admin only).
+ * Moves subscription, Coach usage, notification, timezone and feed-ban fields
+ * off the world-readable users docs into userPrivate/{userId}.
+ */
+exports.migrateUserPrivate = onCall(
+  { timeoutSeconds: 540, memory: "512MiB" },
+  async (request) => {
+    if (request.auth?.token?.admin !== true) {
+      throw new HttpsError("permission-denied", "Admin only.");
+    }
+
+    const usersSnapshot = await firestoreDb.collection("users").get();
+    const docs = usersSnapshot.docs.filter((d) => d.data().userId &&
+      [...USER_PRIVATE_FIELDS, "coachUsage"].some((field) => d.data()[field] !== undefined));
+    for (let i = 0; i < docs.length; i += 200) {
+      const batch = firestoreDb.batch();
+      docs.slice(i, i + 200).forEach((d) => {
+        const data = d.data();
+        const moved = Object.fromEntries(USER_PRIVATE_FIELDS
+          .filter((field) => data[field] !== undefined)
+          .map((field) => [field, data[field]]));
+        if (Object.keys(moved).length) batch.set(userPrivateRef(data.userId), moved, { merge: true });
+        // coachUsage is a leftover from old clients; the server never read it
+        batch.update(d.ref, Object.fromEntries(
+          [...USER_PRIVATE_FIELDS, "coachUsage"].map((field) => [field, FieldValue.delete()])
+        ));
       });
-      const uid = sessions.data[0]?.metadata?.uid;
-      if (uid) {
-        await firestoreDb.doc(`users/${uid}`).set(
-          { isPremium: false },
-          { merge: true }
-        );
-        console.log("[StripeWebhook] Set isPremium=false for user:", uid);
-      }
+      await batch.commit();
     }
 
-    res.status(200).json({ received: true });
+    console.log("[Users] Moved private fields off", docs.length, "users docs");
+    return { migrated: docs.length };
   }
 );
+
+// --- Coach Tidy quota ---
+
+function currentMonthKey(now = new Date()) {
+  return now.toISOString().slice(0, 7);
+}
+
+function nextMonthStart(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+}
+
+// privateData is the caller's userPrivate doc
+function isCoachUnlimited(uid, privateData) {
+  if (coachUnlimitedUids.value().includes(uid)) return true;
+  return hasProEntitlement(privateData);
+}
+
+function buildCoachUsage(uid, privateData, now = new Date()) {
+  const unlimited = isCoachUnlimited(uid, privateData);
+  const month = currentMonthKey(now);
+  const used = privateData.lastResetMonth === month ? privateData.coachUsedThisMonth || 0 : 0;
+  const limit = coachMonthlyLimit.value();
+  return {
+    unlimited,
+    used,
+    limit,
+    remaining: unlimited ? null : Math.max(0, limit - used),
+    month,
+    resetsAt: nextMonthStart(now).toISOString(),
+  };
+}
+
+/**
+ * Atomically check the monthly quota and claim one Coach use.
+ * Resolves { allowed, usage, privateRef }; the count is only bumped when allowed.
+ */
+async function reserveCoachUse(uid) {
+  const userQuery = firestoreDb
+    .collection("users")
+    .where("userId", "==", toAppUserId(uid))
+    .limit(1);
+  const privateRef = userPrivateRef(toAppUserId(uid));
+
+  return firestoreDb.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(userQuery);
+    if (snapshot.empty) return { allowed: false, usage: null, privateRef: null };
+
+    const privateSnap = await transaction.get(privateRef);
+    const usage = buildCoachUsage(uid, privateSnap.data() || {});
+    if (!usage.unlimited && usage.used >= usage.limit) {
+      return { allowed: false, usage, privateRef };
+    }
+
+    transaction.set(privateRef, {
+      coachUsedThisMonth: usage.used + 1,
+      lastResetMonth: usage.month,
+    }, { merge: true });
+    const used = usage.used + 1;
+    return {
+      allowed: true,
+      usage: {
+        ...usage,
+        used,
+        remaining: usage.unlimited ? null : Math.max(0, usage.limit - used),
+      },
+      privateRef,
+    };
+  });
+}
+
+// Give a reserved use back when the analysis itself failed
+async function releaseCoachUse(privateRef, month) {
+  try {
+    await firestoreDb.runTransaction(async (transaction) => {
+      const snap = await transaction.get(privateRef);
+      const data = snap.data() || {};
+      if (data.lastResetMonth === month && (data.coachUsedThisMonth || 0) > 0) {
+        transaction.update(privateRef, { coachUsedThisMonth: data.coachUsedThisMonth - 1 });
+      }
+    });
+  } catch (error) {
+    console.error("[Coach] Failed to release quota:", error);
+  }
+}
+
+/**
+ * getCoachUsage — Callable function returning the caller's Coach Tidy quota.
+ * The client uses this instead of deciding entitlement itself.
+ */
+exports.getCoachUsage = onCall(async (request) => {
+  const uid = request.auth?.uid;
+  if (!uid) {
+    throw new HttpsError("unauthenticated", "You must be logged in.");
+  }
+  return buildCoachUsage(uid, await getUserPrivate(toAppUserId(uid)));
+});
+
+// --- Coach analysis schema ---
+// analyzeSpace asks the model for JSON in this shape. Replies are validated
+// field by field: anything missing or malformed is reported back to the model
+// for one repair round, and whatever is still wrong afterwards comes back as
+// an empty value of the right type, listed in missingFields, so the client can
+// render the parts it did get.
+
+function checkString(maxLength) {
+  return (raw) => (typeof raw === "string" && raw.trim() ?
+    { value: raw.trim().slice(0, maxLength) } :
+    { error: "must be a non-empty string" });
+}
+
+function checkStringList(raw) {
+  if (!Array.isArray(raw)) return { error: "must be an array of strings" };
+  return {
+    value: raw
+      .filter((entry) => typeof entry === "string" && entry.trim())
+      .map((entry) => entry.trim().slice(0, 200))
+      .slice(0, 60),
+  };
+}
+
+function checkWholeNumber(max) {
+  return (raw) => (Number.isFinite(raw) && raw >= 0 && raw <= max ?
+    { value: Math.round(raw) } :
+    { error: `must be a number between 0 and ${max}` });
+}
+
+function checkSteps(raw) {
+  if (!Array.isArray(raw)) return { error: "must be an array of { text, minutes } objects" };
+  const steps = raw
+    .filter((step) => step && typeof step.text === "string" && step.text.trim())
+    .slice(0, 20)
+    .map((step) => ({
+      text: step.text.trim().slice(0, 300),
+      minutes: Number.isFinite(step.minutes) ? Math.max(0, Math.round(step.minutes)) : null,
+    }));
+  return steps.length ? { value: steps } : { error: "has no steps with text" };
+}
+
+const COACH_ANALYSIS_SCHEMA = {
+  spaceName: { required: true, empty: "", check: checkString(60) },
+  visibleItems: { required: true, empty: [], check: checkStringList },
+  itemArrangements: { required: true, empty: [], check: checkStringList },
+  trashToRemove: { required: false, empty: [], check: checkStringList },
+  misplacedItems: { required: false, empty: [], check: checkStringList },
+  itemCount: { required: false, empty: null, check: checkWholeNumber(500) },
+  steps: { required: true, empty: [], check: checkSteps },
+  totalMinutes: { required: false, empty: null, check: checkWholeNumber(600) },
+  mainTip: { required: true, empty: "", check: checkString(500) },
+  encouragement: { required: true, empty: "", check: checkString(300) },
+};
+
+// Model replies sometimes wrap the JSON in ``` fences or add a sentence around it
+function parseModelJson(text) {
+  const cleaned = String(text || "").replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, "");
+  try {
+    return JSON.parse(cleaned);
+  } catch (error) {
+    const match = cleaned.match(/\{[\s\S]*\}/);
+    if (!match) return null;
+    try {
+      return JSON.parse(match[0]);
+    } catch (innerError) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Validate a parsed analysis against COACH_ANALYSIS_SCHEMA.
+ * Returns { analysis, errors, missingFields, usable } — analysis always has
+ * every field, with `empty` values where the reply had nothing valid.
+ */
+function validateCoachAnalysis(value) {
+  const errors = [];
+  const missingFields = [];
+  const source = value && typeof value === "object" && !Array.isArray(value) ? value : {};
+  if (source !== value) errors.push("reply is not a JSON object");
+
+  const analysis = {};
+  for (const [field, rule] of Object.entries(COACH_ANALYSIS_SCHEMA)) {
+    const raw = source[field];
+    if (raw === undefined || raw === null) {
+      analysis[field] = rule.empty;
+      if (rule.required) {
+        errors.push(`${field} is missing`);
+        missingFields.push(field);
+      }
+      continue;
+    }
+    const checked = rule.check(raw);
+    if (checked.error) {
+      analysis[field] = rule.empty;
+      errors.push(`${field} ${checked.error}`);
+      missingFields.push(field);
+    } else {
+      analysis[field] = checked.value;
+    }
+  }
+
+  // Derivable fields don't count as missing
+  if (analysis.totalMinutes === null && analysis.steps.length) {
+    analysis.totalMinutes = analysis.steps.reduce((sum, step) => sum + (step.minutes || 0), 0);
+  }
+  if (analysis.itemCount === null) analysis.itemCount = analysis.visibleItems.length;
+
+  const usable = !!(analysis.steps.length || analysis.visibleItems.length || analysis.encouragement);
+  return { analysis, errors, missingFields, usable };
+}
+
+/**
+ * Turn the analysis into the session's tickable checklist: every arrangement,
+ * then trash to throw out and misplaced items to carry back to their room.
+ */
+function buildCoachChecklist(analysis) {
+  const tasks = [
+    ...analysis.itemArrangements.map((text) => ({ kind: "arrange", text })),
+    ...analysis.trashToRemove.map((text) => ({ kind: "trash", text: `Throw away: ${text}` })),
+    ...analysis.misplacedItems.map((text) => ({ kind: "misplaced", text: `Return to its room: ${text}` })),
+  ];
+  // Fall back to the numbered steps when the model gave no arrangements
+  if (!tasks.length) tasks.push(...analysis.steps.map((step) => ({ kind: "step", text: step.text })));
+  return tasks.map((task, i) => ({ id: `t${i + 1}`, ...task, done: false }));
+}
+
+function buildCoachRepairPrompt(errors) {
+  return `Your reply did not match the required JSON format:
+${errors.map((error) => "- " + error).join("\n")}
+
+Reply again with ONLY the corrected JSON object: the same fields as requested, no markdown, no backticks, no commentary. Keep everything that was already correct.`;
+}
+
+// Room photos stay private: readable only through a download token, the same
+// way the app's own uploads are, never through a public object URL
+async function saveCoachPhoto(bucket, filePath, buffer, contentType) {
+  const downloadToken = crypto.randomUUID();
+  await bucket.file(filePath).save(buffer, {
+    contentType,
+    metadata: {
+      cacheControl: "private,max-age=31536000",
+      metadata: { firebaseStorageDownloadTokens: downloadToken },
+    },
+  });
+  return `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(filePath)}?alt=media&token=${downloadToken}`;
+}
+
+/**
+ * analyzeSpace — HTTP endpoint for AI Coach Tidy.
+ * Accepts a base64 photo of a messy space, analyzes it with Claude,
+ * generates a "cleaned up" visualization with DALL-E, and returns the results.
+ * Requires a Firebase ID token; each call claims one use of the monthly quota.
+ */
+exports.analyzeSpace = onRequest(
+  {
+    secrets: [anthropicApiKey, openaiApiKey],
+    timeoutSeconds: 300,
+    memory: "512MiB",
+    cors: ALLOWED_ORIGINS,
+  },
+  async (req, res) => {
+    if (req.method !== "POST") {
+      res.status(405).json({ error: "Method not allowed" });
+      return;
+    }
+
+    const decodedToken = await verifyRequestAuth(req);
+    if (!decodedToken) {
+      res.status(401).json({ error: "Authentication required" });
+      return;
+    }
+    const uid = decodedToken.uid;
+    const userId = toAppUserId(uid);
+
+    const { imageBase64, userVision } = req.body;
+
+    if (!imageBase64) {
+      res.status(400).json({ error: "Missing required fields" });
+      return;
+    }
+
+    let reservation;
+    try {
+      reservation = await reserveCoachUse(uid);
+    } catch (error) {
+      console.error("[Coach] Quota check failed:", error);
+      res.status(500).json({ error: "Internal server error" });
+      return;
+    }
+    if (!reservation.privateRef) {
+      res.status(403).json({ error: "User profile not found" });
+      return;
+    }
+    if (!reservation.allowed) {
+      res.status(429).json({
+        error: "Monthly Coach Tidy limit reached",
+        code: "quota-exceeded",
+        usage: reservation.usage,
+      });
+      return;
+    }
+    const usage = reservation.usage;
+
+    try {
+      await firestoreDb.collection("coach_logs").add({
+        userId,
+        userEmail: decodedToken.email || null,
+        createdAt: FieldValue.serverTimestamp(),
+      });
+    } catch (logError) {
+      console.error("[Coach] Coach log failed:", logError);
+    }
+
+    const analysisPrompt = `You are "Tidy", an AI decluttering coach for a minimalism app.
+
+Analyze this photo of a messy space. First, carefully list EVERY visible object (furniture, items on surfaces, items on floor, wall decorations — everything). Then suggest how to rearrange and neaten them IN PLACE. Respond ONLY in valid JSON (no markdown, no backticks).
+
+USER'S VISION: "${userVision || ""}"
+
+{
+  "spaceName": "Bedroom",
+  "visibleItems": ["bed with rumpled blanket", "wooden bookshelf", "desk with laptop", "office chair with jacket draped over it", "stack of books on floor", "coffee mug on desk", "pile of clothes on bed", "sneakers by door", "trash wrapper on desk", "water bottle on floor", "backpack leaning on wall"],
+  "itemArrangements": [
+    "bed with blanket smoothed and pulled flat",
+    "jacket moved from chair to a hook or folded on bed corner",
+    "books stacked upright on bookshelf",
+    "coffee mug centered on desk beside laptop",
+    "clothes folded in a neat pile on bed corner",
+    "sneakers paired neatly side by side by door",
+    "water bottle standing upright on desk",
+    "backpack standing upright against wall"
+  ],
+  "trashToRemove": ["trash wrapper on desk"],
+  "misplacedItems": ["dirty plate that belongs in kitchen", "random shopping bag"],
+  "itemCount": 11,
+  "steps": [
+    { "text": "Clothes on bed → fold into a neat stack on bed corner", "minutes": 3 },
+    { "text": "Books on floor → stand upright on bookshelf", "minutes": 2 },
+    { "text": "Dirty plate → return to kitchen", "minutes": 1 },
+    { "text": "Trash wrapper → throw away", "minutes": 1 },
+    { "text": "Sneakers → pair neatly by door", "minutes": 1 }
+  ],
+  "totalMinutes": 7,
+  "mainTip": "The 'everything has a home' rule — each item gets returned to its spot. 60-second nightly reset keeps it maintained.",
+  "encouragement": "This space has great bones! About 7 minutes of rearranging will make a huge difference:"
+}
+
+Rules for steps:
+- NEVER suggest buying anything (no bins, organizers, containers, shelves, products)
+- Suggest REARRANGING items in place (fold, stack, align, group, straighten, pair) — NOT removing them
+- trashToRemove: actual garbage (wrappers, used tissues, empty containers)
+- misplacedItems: objects that clearly do NOT belong in this type of space (e.g. dirty dishes in a bedroom, random shopping bags, shoes in the kitchen). These are items someone would carry back to their proper room. Do NOT put furniture, decor, books, electronics, or personal items that reasonably belong in this space
+- Tips should be about HABITS, not purchases
+- Match the user's language (Korean photo context → Korean response, etc.)
+- Keep steps actionable and specific
+- visibleItems MUST list EVERY object you can see — furniture, items on surfaces, items on floor, wall items. Be exhaustive.
+- itemArrangements MUST describe the SAME items in their neatened state — same count, same objects, just repositioned/straightened/folded
+- Do NOT include an imagePrompt field — it will be built from your visibleItems and itemArrangements automatically`;
+
+    try {
+      // STEP 1: Claude API — analyze the photo
+      console.log("[Coach] Analyzing space for user:", userId);
+      const detectedMediaType = getMediaType(imageBase64);
+      const rawBase64 = stripDataUrlPrefix(imageBase64);
+      const analysisMessages = [
+        {
+          role: "user",
+          content: [
+            {
+              type: "image",
+              source: {
+                type: "base64",
+                media_type: detectedMediaType,
+                data: rawBase64,
+              },
+            },
+            {
+              type: "text",
+              text: analysisPrompt,
+            },
+          ],
+        },
+      ];
+      let analysisText;
+      try {
+        ({ text: analysisText } = await getProviders().complete("coachAnalysis", {
+          messages: analysisMessages,
+          maxTokens: 800,
+          userId,
+        }));
+      } catch (analysisError) {
+        console.error("[Coach] Analysis call failed:", analysisError.message);
+        await releaseCoachUse(reservation.privateRef, usage.month);
+        res.status(502).json({ error: "Analysis failed" });
+        return;
+      }
+
+      // STEP 2: Parse and validate the analysis — one repair round if it doesn't fit the schema
+      let validation = validateCoachAnalysis(parseModelJson(analysisText));
+      if (validation.errors.length) {
+        console.warn("[Coach] Analysis failed validation:", validation.errors.join("; "));
+        try {
+          const { text: repairedText } = await getProviders().complete("coachAnalysis", {
+            messages: [
+              ...analysisMessages,
+              { role: "assistant", content: analysisText },
+              { role: "user", content: buildCoachRepairPrompt(validation.errors) },
+            ],
+            maxTokens: 800,
+            userId,
+          });
+          const repaired = validateCoachAnalysis(parseModelJson(repairedText));
+          if (repaired.errors.length < validation.errors.length) validation = repaired;
+          console.log("[Coach] Repair round left", validation.errors.length, "validation error(s)");
+        } catch (repairError) {
+          console.error("[Coach] Repair round failed:", repairError.message);
+        }
+      }
+      if (!validation.usable) {
+        await releaseCoachUse(reservation.privateRef, usage.month);
+        res.status(502).json({ error: "Analysis returned invalid format" });
+        return;
+      }
+      const parsed = validation.analysis;
+      const analysisStatus = validation.missingFields.length ? "partial" : "complete";
+
+      // STEP 3: Build the image edit prompt from visibleItems + itemArrangements
+      const items = parsed.visibleItems;
+      const arrangements = parsed.itemArrangements;
+      const trash = parsed.trashToRemove;
+      const misplaced = parsed.misplacedItems;
+      const removable = [...trash, ...misplaced];
+
+      let builtImagePrompt;
+      if (items.length > 0 && arrangements.length > 0) {
+        const removableLower = removable.map((r) => r.toLowerCase());
+        const keepList = items.filter((i) => !removableLower.some((r) => i.toLowerCase().includes(r.split(" ")[0])));
+        builtImagePrompt = [
+          "CRITICAL INSTRUCTION: This is a REARRANGING task, NOT a removing task.",
+          "Show the SAME room with the SAME objects — just neatly repositioned and straightened.",
+          "DO NOT erase, delete, or make any objects disappear EXCEPT the specific removable items listed below.",
+          "",
+          `ITEMS THAT MUST STAY (${keepList.length} objects — all must be visible in result):`,
+          ...keepList.map((item, i) => `  ${i + 1}. ${item}`),
+          "",
+          "HOW TO REARRANGE THEM:",
+          ...arrangements.map((arr, i) => `  ${i + 1}. ${arr}`),
+          "",
+          removable.length > 0 ? `THESE items may be removed (trash or misplaced): ${removable.join(", ")}` : "",
+          "",
+          "RULES:",
+          "- Same room, same camera angle, same walls, same floor, same lighting, same colors.",
+          "- The number of visible objects should be approximately the SAME as the original photo minus the removable items.",
+          "- The room should look lived-in and realistic — like someone spent 1 hour straightening up.",
+          "- DO NOT make surfaces empty. Items stay on surfaces but get aligned and grouped.",
+          "- DO NOT make the room look like a magazine photo or a showroom.",
+          "- Realistic photo style matching the original image.",
+        ].filter(Boolean).join("\n");
+      } else {
+        builtImagePrompt = null;
+      }
+
+      // STEP 4: Image edit — generate the "after" image by editing the original photo
+      let afterImageUrl = null;
+      try {
+        console.log("[Coach] Image prompt length:", (builtImagePrompt || "").length, "chars");
+
+        const fallbackPrompt = "REARRANGING task — NOT a removing task. Show the exact same room with the exact same furniture and belongings, but neatly repositioned. Fold clothes into neat stacks, stand books upright, align items on surfaces into groups, pair shoes neatly. DO NOT erase or delete ANY objects — every piece of furniture and every item must remain visible. Only remove actual trash (wrappers, tissues) and items that clearly do not belong in this type of room. The room should look like someone spent 1 hour straightening up — still lived-in, not empty. Same angle, same lighting, same background. Realistic photo.";
+
+        const { imageBase64: b64Image } = await getProviders().editImage("coachAfterImage", {
+          imageBase64: rawBase64,
+          mediaType: detectedMediaType,
+          prompt: builtImagePrompt || fallbackPrompt,
+          userId,
+        });
+        const imgBuffer = Buffer.from(b64Image, "base64");
+
+        const bucket = getStorage().bucket();
+        const timestamp = Date.now();
+        afterImageUrl = await saveCoachPhoto(bucket, `coach/${userId}/${timestamp}_after.png`, imgBuffer, "image/png");
+      } catch (editError) {
+        console.error("[Coach] Image edit generation failed:", editError.message);
+        // Continue without after image — analysis is still useful
+      }
+
+      // STEP 5: Save before photo to Storage
+      const checklist = buildCoachChecklist(parsed);
+      let sessionId = null;
+      let beforeImageUrl = null;
+      try {
+        const beforeBuffer = Buffer.from(rawBase64, "base64");
+        const bucket = getStorage().bucket();
+        const timestamp = Date.now();
+        const ext = detectedMediaType === "image/png" ? "png" : "jpg";
+        const beforeUrl = await saveCoachPhoto(
+          bucket, `coach/${userId}/${timestamp}_before.${ext}`, beforeBuffer, detectedMediaType
+        );
+
+        // Save session to Firestore — the client ticks off its checklist and
+        // can later log it as a Before & After item; scoreItemOnCreate then
+        // moves it to status "logged"
+        const sessionRef = await firestoreDb.collection("coachSessions").add({
+          userId,
+          beforeImageUrl: beforeUrl,
+          afterImageUrl: afterImageUrl || null,
+          analysis: parsed,
+          analysisStatus,
+          missingFields: validation.missingFields,
+          checklist,
+          status: "open",
+          loggedItemId: null,
+          createdAt: FieldValue.serverTimestamp(),
+        });
+        sessionId = sessionRef.id;
+        beforeImageUrl = beforeUrl;
+      } catch (saveError) {
+        console.error("[Coach] Save error:", saveError);
+        // Non-fatal — return results anyway
+      }
+
+      console.log("[Coach] Analysis complete for user:", userId);
+      res.json({
+        sessionId,
+        analysis: parsed,
+        analysisStatus,
+        missingFields: validation.missingFields,
+        checklist,
+        beforeImageUrl,
+        afterImageUrl,
+        usage,
+      });
+    } catch (error) {
+      console.error("[Coach] analyzeSpace error:", error);
+      await releaseCoachUse(reservation.privateRef, usage.month);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// --- Ask Tidy chat ---
+// Free-form follow-up questions for Tidy. Each conversation lives in
+// tidyConversations/{id}; every question claims a Coach Tidy use, the same as
+// an analysis, and is given back if the reply fails. Replies stream back as
+// server-sent events:
+//   { type: "start", conversationId, usage }
+//   { type: "delta", text }                    — repeated as the reply arrives
+//   { type: "done", conversationId, reply }    — saved to the conversation
+//   { type: "error", error }
+
+const TIDY_CONVERSATIONS_COLLECTION = "tidyConversations";
+const ASK_TIDY_MAX_MESSAGE_CHARS = 1000;
+// Questions per conversation, and how many past messages go back to the model
+const ASK_TIDY_MAX_TURNS = 30;
+const ASK_TIDY_HISTORY_MESSAGES = 20;
+
+const ASK_TIDY_CHAT_RULES = `CHAT MODE:
+- The user is talking to you directly and may ask follow-up questions. There is no item or photo — ignore LENGTH MODE.
+- Answer in 2-5 sentences. Use a short numbered list only when they ask for steps.
+- Stay on decluttering, letting go, and keeping spaces tidy. If asked about something else, steer back kindly in one sentence.
+- Use the history below to make your answer about THEM, and end with ONE concrete physical next action.`;
+
+function buildAskTidySystemPrompt(context) {
+  return [TIDY_SYSTEM_PROMPT, ASK_TIDY_CHAT_RULES, ...buildTidyContextBlocks(context)].join("\n\n");
+}
+
+/**
+ * askTidy — HTTP endpoint for the Coach tab chat.
+ * Body: { message, conversationId? }. Leave conversationId out to start a new
+ * conversation. Each call claims one use of the monthly quota; quota and
+ * validation errors come back as plain JSON before the stream starts.
+ */
+exports.askTidy = onRequest(
+  { secrets: [anthropicApiKey], timeoutSeconds: 120, cors: ALLOWED_ORIGINS },
+  async (req, res) => {
+    const decodedToken = await authorizeAIRequest(req, res, "askTidy");
+    if (!decodedToken) return;
+    const uid = decodedToken.uid;
+    const userId = toAppUserId(uid);
+
+    const { message, conversationId } = req.body || {};
+    const question = typeof message === "string" ? message.trim() : "";
+    if (!question || question.length > ASK_TIDY_MAX_MESSAGE_CHARS) {
+      res.status(400).json({ error: `Message must be 1-${ASK_TIDY_MAX_MESSAGE_CHARS} characters` });
+      return;
+    }
+
+    const conversations = firestoreDb.collection(TIDY_CONVERSATIONS_COLLECTION);
+    let conversationRef;
+    let history = [];
+    let reservation;
+    try {
+      if (conversationId) {
+        conversationRef = conversations.doc(String(conversationId));
+        const snap = await conversationRef.get();
+        if (!snap.exists || snap.data().userId !== userId) {
+          res.status(404).json({ error: "Conversation not found" });
+          return;
+        }
+        if ((snap.data().turnCount || 0) >= ASK_TIDY_MAX_TURNS) {
+          res.status(409).json({ error: "This conversation is full — start a new one", code: "conversation-full" });
+          return;
+        }
+        history = snap.data().messages || [];
+      } else {
+        conversationRef = conversations.doc();
+      }
+      reservation = await reserveCoachUse(uid);
+      if (!reservation.privateRef) {
+        res.status(403).json({ error: "User profile not found" });
+        return;
+      }
+      if (!reservation.allowed) {
+        res.status(429).json({
+          error: "Monthly Coach Tidy limit reached",
+          code: "quota-exceeded",
+          usage: reservation.usage,
+        });
+        return;
+      }
+    } catch (error) {
+      console.error("[AskTidy] Setup failed:", error);
+      res.status(500).json({ error: "Internal server error" });
+      return;
+    }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+    send({ type: "start", conversationId: conversationRef.id, usage: reservation.usage });
+
+    try {
+      const context = await loadTidyContext(userId);
+      const { text: reply } = await getProviders().stream("askTidy", {
+        system: buildAskTidySystemPrompt(context),
+        messages: [
+          ...history.slice(-ASK_TIDY_HISTORY_MESSAGES).map(({ role, content }) => ({ role, content })),
+          { role: "user", content: question },
+        ],
+        maxTokens: 500,
+        userId,
+        onText: (text) => send({ type: "delta", text }),
+      });
+
+      const now = Date.now();
+      const turn = [
+        { role: "user", content: question, createdAt: now },
+        { role: "assistant", content: reply, createdAt: now },
+      ];
+      if (!conversationId) {
+        await conversationRef.set({
+          userId,
+          title: question.slice(0, 80),
+          messages: turn,
+          turnCount: 1,
+          createdAt: FieldValue.serverTimestamp(),
+          updatedAt: FieldValue.serverTimestamp(),
+        });
+      } else {
+        await conversationRef.update({
+          messages: FieldValue.arrayUnion(...turn),
+          turnCount: FieldValue.increment(1),
+          updatedAt: FieldValue.serverTimestamp(),
+        });
+      }
+      send({ type: "done", conversationId: conversationRef.id, reply });
+    } catch (error) {
+      console.error("[AskTidy] Reply failed for user:", userId, error.message);
+      await releaseCoachUse(reservation.privateRef, reservation.usage.month);
+      send({ type: "error", error: "Tidy couldn't answer right now. Please try again." });
+    } finally {
+      res.end();
+    }
+  }
+);
+
+// --- Image proxy ---
+// Serves photos from our own bucket with CORS headers so the share image
+// generator can draw them on a canvas. Only objects under the public photo
+// prefixes are served, by path; resized output is cached in the bucket under
+// IMAGE_CACHE_PREFIX, keyed by the source object's generation.
+
+const IMAGE_PROXY_PREFIXES = ["items/", "profilePhotos/", "coach/"];
+const IMAGE_PROXY_CONTENT_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"];
+const IMAGE_PROXY_MAX_BYTES = 15 * 1024 * 1024;
+// Requested widths snap up to one of these so the cache stays small
+const IMAGE_PROXY_WIDTHS = [160, 320, 480, 640, 960, 1080, 1440, 2048];
+const IMAGE_PROXY_FORMATS = { jpeg: "image/jpeg", png: "image/png", webp: "image/webp" };
+const IMAGE_CACHE_PREFIX = "image-cache/";
+
+/**
+ * Object path for a proxy request: `path` as given, or — for older clients —
+ * the path inside a download URL that points at our bucket. Null otherwise.
+ */
+function resolveProxyPath(query, bucketName) {
+  let path = typeof query.path === "string" ? query.path : null;
+  if (!path && typeof query.url === "string") {
+    let url;
+    try {
+      url = new URL(query.url);
+    } catch (error) {
+      return null;
+    }
+    const downloadPrefix = `/v0/b/${bucketName}/o/`;
+    if (url.hostname === "firebasestorage.googleapis.com" && url.pathname.startsWith(downloadPrefix)) {
+      path = decodeURIComponent(url.pathname.slice(downloadPrefix.length));
+    } else if (url.hostname === "storage.googleapis.com" && url.pathname.startsWith(`/${bucketName}/`)) {
+      path = decodeURIComponent(url.pathname.slice(bucketName.length + 2));
+    }
+  }
+  if (!path || path.includes("..") || path.includes("//")) return null;
+  return IMAGE_PROXY_PREFIXES.some((prefix) => path.startsWith(prefix)) ? path : null;
+}
+
+function snapProxyWidth(value) {
+  const width = parseInt(value, 10);
+  if (!width || width < 1) return null;
+  return IMAGE_PROXY_WIDTHS.find((w) => w >= width) || IMAGE_PROXY_WIDTHS[IMAGE_PROXY_WIDTHS.length - 1];
+}
+
+/**
+ * imageProxy — HTTP endpoint that serves Storage photos with proper CORS headers.
+ * Query: path (object path), optional w (max width in px) and format (jpeg|png|webp).
+ * Used by the share image generator to draw photos on canvas without tainting it.
+ */
+exports.imageProxy = onRequest(
+  { cors: ALLOWED_ORIGINS, memory: "1GiB" },
+  async (req, res) => {
+    const bucket = getStorage().bucket();
+    const path = resolveProxyPath(req.query, bucket.name);
+    if (!path) {
+      res.status(400).json({ error: "Invalid or missing image path" });
+      return;
+    }
+    const width = req.query.w ? snapProxyWidth(req.query.w) : null;
+    const format = req.query.format ? String(req.query.format).toLowerCase() : null;
+    if ((req.query.w && !width) || (format && !IMAGE_PROXY_FORMATS[format])) {
+      res.status(400).json({ error: "Invalid w or format" });
+      return;
+    }
+
+    try {
+      const file = bucket.file(path);
+      const [exists] = await file.exists();
+      if (!exists) {
+        res.status(404).json({ error: "Image not found" });
+        return;
+      }
+      const [metadata] = await file.getMetadata();
+      if (!IMAGE_PROXY_CONTENT_TYPES.includes(metadata.contentType)) {
+        res.status(415).json({ error: "Unsupported image type" });
+        return;
+      }
+      if (Number(metadata.size) > IMAGE_PROXY_MAX_BYTES) {
+        res.status(413).json({ error: "Image too large" });
+        return;
+      }
+
+      res.set("Cache-Control", "public, max-age=86400");
+
+      if (!width && !format) {
+        const [original] = await file.download();
+        res.set("Content-Type", metadata.contentType);
+        res.send(original);
+        return;
+      }
+
+      const outputFormat = format || "webp";
+      const cacheFile = bucket.file(
+        `${IMAGE_CACHE_PREFIX}${path}/${metadata.generation}_${width || "full"}.${outputFormat}`
+      );
+      const [cached] = await cacheFile.exists();
+      let output;
+      if (cached) {
+        [output] = await cacheFile.download();
+      } else {
+        const [original] = await file.download();
+        let image = sharp(original).rotate();
+        if (width) image = image.resize({ width, withoutEnlargement: true });
+        output = await image.toFormat(outputFormat, { quality: 82 }).toBuffer();
+        await cacheFile.save(output, { contentType: IMAGE_PROXY_FORMATS[outputFormat] });
+      }
+
+      res.set("Content-Type", IMAGE_PROXY_FORMATS[outputFormat]);
+      res.set("X-Cache", cached ? "HIT" : "MISS");
+      res.send(output);
+    } catch (error) {
+      console.error("[imageProxy] Error:", path, error);
+      res.status(500).json({ error: "Image fetch failed" });
+    }
+  }
+);
+
+// --- Stripe subscriptions ---
+
+const STRIPE_PRICE_IDS = {
+  monthly: "price_1T5IWcFosVvw5kdM3O60ZCbj",
+  yearly: "price_1T5IXMFosVvw5kdMyJvqjzid",
+};
+
+const APP_URL = "https://tacogong0621.github.io";
+
+// Statuses that unlock Pro. past_due stays entitled while Stripe retries the
+// card; once retries are exhausted the subscription moves to unpaid/canceled.
+const ENTITLED_SUBSCRIPTION_STATUSES = ["active", "trialing", "past_due"];
+
+/**
+ * The single entitlement check used by every premium feature, given the
+ * userPrivate doc. Its subscription is only ever written by syncSubscription below.
+ */
+function hasProEntitlement(privateData) {
+  const subscription = privateData.subscription;
+  return !!subscription && ENTITLED_SUBSCRIPTION_STATUSES.includes(subscription.status);
+}
+
+function getPlanForPrice(priceId) {
+  return Object.keys(STRIPE_PRICE_IDS).find((plan) => STRIPE_PRICE_IDS[plan] === priceId) || null;
+}
+
+function toTimestampDate(unixSeconds) {
+  return unixSeconds ? new Date(unixSeconds * 1000) : null;
+}
+
+// Map a Stripe Subscription object onto the shape stored at userPrivate.subscription
+function buildSubscriptionRecord(subscription) {
+  const item = subscription.items?.data?.[0];
+  const customerId =
+    typeof subscription.customer === "string" ? subscription.customer : subscription.customer?.id;
+  return {
+    status: subscription.status,
+    plan: getPlanForPrice(item?.price?.id),
+    currentPeriodEnd: toTimestampDate(
+      subscription.current_period_end ?? item?.current_period_end
+    ),
+    cancelAtPeriodEnd: !!subscription.cancel_at_period_end,
+    trialEnd: toTimestampDate(subscription.trial_end),
+    stripeCustomerId: customerId || null,
+    stripeSubscriptionId: subscription.id,
+    updatedAt: new Date(),
+  };
+}
+
+// Find the userPrivate doc a Stripe object belongs to: metadata.uid first (for a
+// user with a profile), then the stored customer id. The snapshot may not exist yet.
+async function findPrivateDocForStripe(uid, customerId) {
+  if (uid && (await findUserDoc(toAppUserId(uid)))) {
+    return userPrivateRef(toAppUserId(uid)).get();
+  }
+  if (customerId) {
+    const snapshot = await firestoreDb
+      .collection(USER_PRIVATE_COLLECTION)
+      .where("subscription.stripeCustomerId", "==", customerId)
+      .limit(1)
+      .get();
+    if (!snapshot.empty) return snapshot.docs[0];
+  }
+  return null;
+}
+
+async function syncSubscription(subscription, uid) {
+  const record = buildSubscriptionRecord(subscription);
+  const privateDoc = await findPrivateDocForStripe(
+    uid || subscription.metadata?.uid,
+    record.stripeCustomerId
+  );
+  if (!privateDoc) {
+    console.warn("[Stripe] No user for subscription:", subscription.id, record.stripeCustomerId);
+    return null;
+  }
+
+  // Ignore stale events for an older subscription once the user has a newer one
+  const existing = privateDoc.get("subscription");
+  if (
+    existing?.stripeSubscriptionId &&
+    existing.stripeSubscriptionId !== subscription.id &&
+    ENTITLED_SUBSCRIPTION_STATUSES.includes(existing.status) &&
+    !ENTITLED_SUBSCRIPTION_STATUSES.includes(record.status)
+  ) {
+    console.log("[Stripe] Skipping stale subscription event:", subscription.id);
+    return existing;
+  }
+
+  // A recovered payment clears the failure banner; anything else keeps it
+  const lastPaymentError = record.status === "active" ? null : existing?.lastPaymentError || null;
+  await privateDoc.ref.set({ subscription: { ...existing, ...record, lastPaymentError } }, { merge: true });
+  console.log("[Stripe] Synced subscription", subscription.id, record.status, "for user:", privateDoc.id);
+  return record;
+}
+
+/**
+ * createCheckoutSession — Callable function for Stripe checkout session creation.
+ * Takes a "plan" parameter ("monthly" or "yearly") and returns a checkout URL.
+ */
+exports.createCheckoutSession = onCall(
+  { secrets: [stripeSecretKey] },
+  async (request) => {
+    const uid = request.auth?.uid;
+    if (!uid) {
+      throw new HttpsError("unauthenticated", "You must be logged in to subscribe.");
+    }
+
+    const plan = request.data?.plan;
+    if (!plan || !["monthly", "yearly"].includes(plan)) {
+      throw new HttpsError("invalid-argument", "Invalid plan. Must be 'monthly' or 'yearly'.");
+    }
+
+    const priceId = STRIPE_PRICE_IDS[plan];
+
+    const stripe = new Stripe(stripeSecretKey.value());
+
+    // Reuse the Stripe customer on resubscribe so billing history stays in one place
+    const customerId = (await getUserPrivate(toAppUserId(uid))).subscription?.stripeCustomerId;
+
+    const session = await stripe.checkout.sessions.create({
+      mode: "subscription",
+      payment_method_types: ["card"],
+      line_items: [{ price: priceId, quantity: 1 }],
+      success_url: `${APP_URL}/success`,
+      cancel_url: APP_URL,
+      client_reference_id: uid,
+      ...(customerId
+        ? { customer: customerId }
+        : { customer_email: request.auth.token.email || undefined }),
+      metadata: { uid },
+      subscription_data: { metadata: { uid } },
+    });
+
+    return { url: session.url };
+  }
+);
+
+/**
+ * createBillingPortalSession — Callable function that opens the Stripe customer
+ * portal so subscribers can update their card, switch plans or cancel.
+ */
+exports.createBillingPortalSession = onCall(
+  { secrets: [stripeSecretKey] },
+  async (request) => {
+    const uid = request.auth?.uid;
+    if (!uid) {
+      throw new HttpsError("unauthenticated", "You must be logged in.");
+    }
+
+    const customerId = (await getUserPrivate(toAppUserId(uid))).subscription?.stripeCustomerId;
+    if (!customerId) {
+      throw new HttpsError("failed-precondition", "No billing account found.");
+    }
+
+    const stripe = new Stripe(stripeSecretKey.value());
+    const session = await stripe.billingPortal.sessions.create({
+      customer: customerId,
+      return_url: APP_URL,
+    });
+    return { url: session.url };
+  }
+);
+
+/**
+ * restoreSubscription — Callable function behind "Restore purchase".
+ * Looks the user up in Stripe (stored customer id, then their verified account
+ * email) and re-syncs their most relevant subscription into Firestore. Only
+ * subscriptions checkout tagged with the caller's uid count, so sharing an
+ * email address with someone else's Stripe customer restores nothing.
+ */
+exports.restoreSubscription = onCall(
+  { secrets: [stripeSecretKey] },
+  async (request) => {
+    const uid = request.auth?.uid;
+    if (!uid) {
+      throw new HttpsError("unauthenticated", "You must be logged in.");
+    }
+
+    const stripe = new Stripe(stripeSecretKey.value());
+    const userDoc = await findUserDoc(toAppUserId(uid));
+    if (!userDoc) {
+      throw new HttpsError("not-found", "User profile not found.");
+    }
+
+    const privateRef = userPrivateRef(toAppUserId(uid));
+    const existing = (await privateRef.get()).get("subscription");
+    const customerIds = [];
+    const storedCustomerId = existing?.stripeCustomerId;
+    if (storedCustomerId) customerIds.push(storedCustomerId);
+    const email = request.auth.token.email;
+    if (email && request.auth.token.email_verified === true) {
+      const customers = await stripe.customers.list({ email, limit: 10 });
+      customers.data.forEach((customer) => {
+        if (!customerIds.includes(customer.id)) customerIds.push(customer.id);
+      });
+    }
+
+    const subscriptions = [];
+    for (const customer of customerIds) {
+      const list = await stripe.subscriptions.list({ customer, status: "all", limit: 10 });
+      subscriptions.push(...list.data.filter((subscription) => subscription.metadata?.uid === uid));
+    }
+
+    if (subscriptions.length === 0) {
+      return { restored: false, subscription: null };
+    }
+
+    // Prefer an entitled subscription, then the most recently created one
+    subscriptions.sort((a, b) => {
+      const aEntitled = ENTITLED_SUBSCRIPTION_STATUSES.includes(a.status) ? 1 : 0;
+      const bEntitled = ENTITLED_SUBSCRIPTION_STATUSES.includes(b.status) ? 1 : 0;
+      return bEntitled - aEntitled || b.created - a.created;
+    });
+    const best = subscriptions[0];
+    const record = buildSubscriptionRecord(best);
+    // Same rule as syncSubscription: only a recovered payment clears the failure banner
+    const lastPaymentError = record.status === "active" ? null : existing?.lastPaymentError || null;
+    await privateRef.set({ subscription: { ...record, lastPaymentError } }, { merge: true });
+
+    return {
+      restored: ENTITLED_SUBSCRIPTION_STATUSES.includes(record.status),
+      subscription: {
+        status: record.status,
+        plan: record.plan,
+        currentPeriodEnd: record.currentPeriodEnd ? record.currentPeriodEnd.toISOString() : null,
+        cancelAtPeriodEnd: record.cancelAtPeriodEnd,
+      },
+    };
+  }
+);
+
+/**
+ * stripeWebhook — HTTP endpoint that handles Stripe webhook events and keeps
+ * userPrivate.subscription in sync: checkout completion, subscription
+ * created/updated/deleted (including trial states) and failed invoices.
+ *
+ * Local testing: `stripe listen --forward-to <emulator url>/stripeWebhook`, or in
+ * the emulator POST an unsigned event JSON such as fixtures/stripe/*.json.
+ */
+exports.stripeWebhook = onRequest(
+  { secrets: [stripeSecretKey, stripeWebhookSecret] },
+  async (req, res) => {
+    if (req.method !== "POST") {
+      res.status(405).send("Method not allowed");
+      return;
+    }
+
+    const stripe = new Stripe(stripeSecretKey.value());
+    const sig = req.headers["stripe-signature"];
+
+    let event;
+    if (!sig && process.env.FUNCTIONS_EMULATOR === "true") {
+      // Emulator only: accept unsigned fixture events
+      event = req.body;
+    } else {
+      try {
+        event = stripe.webhooks.constructEvent(
+          req.rawBody,
+          sig,
+          stripeWebhookSecret.value()
+        );
+      } catch (err) {
+        console.error("[StripeWebhook] Signature verification failed:", err.message);
+        res.status(400).send(`Webhook Error: ${err.message}`);
+        return;
+      }
+    }
+
+    try {
+      await handleStripeEvent(stripe, event);
+    } catch (error) {
+      console.error("[StripeWebhook] Failed to handle", event.type, event.id, error);
+      // Non-2xx makes Stripe retry the event
+      res.status(500).json({ error: "Webhook handler failed" });
+      return;
+    }
+
+    res.status(200).json({ received: true });
+  }
+);
+
+async function handleStripeEvent(stripe, event) {
+  const object = event.data.object;
+
+  switch (event.type) {
+    case "checkout.session.completed": {
+      const uid = object.metadata?.uid || object.client_reference_id;
+      if (object.mode !== "subscription" || !object.subscription) return;
+      const subscription =
+        typeof object.subscription === "string"
+          ? await stripe.subscriptions.retrieve(object.subscription)
+          : object.subscription;
+      await syncSubscription(subscription, uid);
+      return;
+    }
+
+    case "customer.subscription.created":
+    case "customer.subscription.updated":
+    case "customer.subscription.deleted":
+    case "customer.subscription.trial_will_end":
+      await syncSubscription(object);
+      return;
+
+    case "invoice.payment_failed": {
+      const details = object.parent?.subscription_details;
+      const customerId = typeof object.customer === "string" ? object.customer : object.customer?.id;
+      const privateDoc = await findPrivateDocForStripe(details?.metadata?.uid, customerId);
+      if (!privateDoc) {
+        console.warn("[StripeWebhook] No user for failed invoice:", object.id);
+        return;
+      }
+      const existing = privateDoc.get("subscription") || {};
+      await privateDoc.ref.set({
+        subscription: {
+          ...existing,
+          status: existing.status === "active" ? "past_due" : existing.status || "past_due",
+          stripeCustomerId: existing.stripeCustomerId || customerId || null,
+          lastPaymentError: {
+            invoiceId: object.id,
+            attemptCount: object.attempt_count || 0,
+            nextAttemptAt: toTimestampDate(object.next_payment_attempt),
+            at: new Date(),
+          },
+          updatedAt: new Date(),
+        },
+      }, { merge: true });
+      console.log("[StripeWebhook] Payment failed for user:", privateDoc.id);
+      return;
+    }
+
+    default:
+      console.log("[StripeWebhook] Ignoring event type:", event.type);
+  }
+}
+
+// --- Push notifications ---
+
+const DEFAULT_REMINDER_TIME = "19:00";
+const NOTIFICATION_SWEEP_MINUTES = 15;
+
+function pushSubscriptionId(endpoint) {
+  return crypto.createHash("sha256").update(endpoint).digest("hex");
+}
+
+// Local "HH:MM" and day key for a user's timezone
+function getLocalClock(now, timezone) {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone: timezone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(now);
+  const hour = Number(parts.find((p) => p.type === "hour").value);
+  const minute = Number(parts.find((p) => p.type === "minute").value);
+  return { minutes: hour * 60 + minute, dayKey: toLocalDayKey(now, timezone) };
+}
+
+// True when `time` ("HH:MM") falls inside the sweep window that started at `minutes`
+function isInSweepWindow(time, minutes) {
+  const match = /^(\d{2}):(\d{2})$/.exec(time || "");
+  if (!match) return false;
+  const target = Number(match[1]) * 60 + Number(match[2]);
+  return target >= minutes && target < minutes + NOTIFICATION_SWEEP_MINUTES;
+}
+
+function usePushStandIn() {
+  return process.env.FUNCTIONS_EMULATOR === "true" || pushTransport.value() === "standin";
+}
+
+/**
+ * Deliver one payload to a single subscription. The stand-in writes it to
+ * dev_push_log so local runs and tests can assert on what would have been sent.
+ */
+async function deliverPush(subscription, payload) {
+  if (usePushStandIn()) {
+    await firestoreDb.collection("dev_push_log").add({
+      endpoint: subscription.endpoint,
+      payload,
+      sentAt: FieldValue.serverTimestamp(),
+    });
+    console.log("[Push] Stand-in delivered:", payload.type, payload.title);
+    return;
+  }
+  await webpush.sendNotification(subscription, JSON.stringify(payload), {
+    TTL: 6 * 60 * 60,
+    vapidDetails: {
+      subject: APP_URL,
+      publicKey: vapidPublicKey.value(),
+      privateKey: vapidPrivateKey.value(),
+    },
+  });
+}
+
+// Send to every device the user subscribed; prunes subscriptions the push
+// service reports as gone. Returns the number of devices reached.
+async function sendPushToUser(userId, payload) {
+  const snapshot = await firestoreDb
+    .collection("push_subscriptions")
+    .where("userId", "==", userId)
+    .get();
+
+  let delivered = 0;
+  for (const subDoc of snapshot.docs) {
+    try {
+      await deliverPush(subDoc.data().subscription, payload);
+      delivered++;
+    } catch (error) {
+      if (error.statusCode === 404 || error.statusCode === 410) {
+        await subDoc.ref.delete();
+        console.log("[Push] Removed expired subscription for", userId);
+      } else {
+        console.error("[Push] Delivery failed for", userId, error.statusCode || error.message);
+      }
+    }
+  }
+  return delivered;
+}
+
+function buildStreakAtRiskPayload(streak, freezes) {
+  return {
+    type: "streakAtRisk",
+    title: `Your ${streak}-day streak ends tonight 🔥`,
+    body: freezes > 0
+      ? "Log one item to keep it going — otherwise a streak freeze gets used."
+      : "Declutter just one item before midnight to keep it alive.",
+    url: "./?tab=add",
+  };
+}
+
+function buildDailyReminderPayload(userData) {
+  const vision = userData.dreamVision ? ` One step closer to: ${userData.dreamVision}` : "";
+  return {
+    type: "dailyReminder",
+    title: "Time for today's declutter ✨",
+    body: `10 minutes, one item.${vision}`.slice(0, 180),
+    url: "./?tab=add",
+  };
+}
+
+/**
+ * getPushConfig — Callable.
+ * Returns the VAPID public key the browser needs to create a subscription.
+ */
+exports.getPushConfig = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Sign in required.");
+  }
+  return { publicKey: vapidPublicKey.value() };
+});
+
+/**
+ * savePushSubscription — Callable.
+ * Stores (or refreshes) this device's PushSubscription and turns on the
+ * user's notification preferences if they have none yet.
+ */
+exports.savePushSubscription = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Sign in required.");
+  }
+  const subscription = request.data?.subscription;
+  if (!subscription?.endpoint || !subscription?.keys?.p256dh || !subscription?.keys?.auth) {
+    throw new HttpsError("invalid-argument", "A PushSubscription is required.");
+  }
+
+  const userId = toAppUserId(request.auth.uid);
+  const userDoc = await findUserDoc(userId);
+  if (!userDoc) {
+    throw new HttpsError("failed-precondition", "User profile not found.");
+  }
+
+  await firestoreDb
+    .collection("push_subscriptions")
+    .doc(pushSubscriptionId(subscription.endpoint))
+    .set({
+      userId,
+      subscription: {
+        endpoint: subscription.endpoint,
+        keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+      },
+      userAgent: String(request.rawRequest?.headers?.["user-agent"] || "").slice(0, 200),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+
+  const prefs = (await getUserPrivate(userId)).notificationPrefs;
+  if (!prefs) {
+    await userPrivateRef(userId).set({
+      notificationPrefs: { dailyReminder: true, streakAtRisk: true, reminderTime: DEFAULT_REMINDER_TIME },
+    }, { merge: true });
+  }
+  return { saved: true };
+});
+
+/**
+ * deletePushSubscription — Callable.
+ * Forgets this device (used when the user turns notifications off).
+ */
+exports.deletePushSubscription = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Sign in required.");
+  }
+  const endpoint = request.data?.endpoint;
+  if (!endpoint) {
+    throw new HttpsError("invalid-argument", "endpoint is required.");
+  }
+  const ref = firestoreDb.collection("push_subscriptions").doc(pushSubscriptionId(endpoint));
+  const snap = await ref.get();
+  if (snap.exists && snap.data().userId === toAppUserId(request.auth.uid)) {
+    await ref.delete();
+  }
+  return { deleted: true };
+});
+
+/**
+ * sendTestPush — Callable.
+ * Sends a sample notification to the caller's devices.
+ */
+exports.sendTestPush = onCall({ secrets: [vapidPrivateKey] }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Sign in required.");
+  }
+  const delivered = await sendPushToUser(toAppUserId(request.auth.uid), {
+    type: "test",
+    title: "Notifications are on 🔔",
+    body: "We'll nudge you at your reminder time.",
+    url: "./",
+  });
+  return { delivered };
+});
+
+/**
+ * Decide and send the notifications one user is due for in this sweep.
+ * Each type goes out at most once per local day (tracked in notificationState).
+ */
+async function runNotificationsForUser(userDoc, now) {
+  const userData = userDoc.data();
+  const privateData = await getUserPrivate(userData.userId);
+  const prefs = privateData.notificationPrefs || {};
+  const state = privateData.notificationState || {};
+  const timezone = normalizeTimezone(privateData.timezone);
+  const { minutes, dayKey } = getLocalClock(now, timezone);
+  const sent = {};
+
+  if (prefs.dailyReminder && state.dailyReminder !== dayKey &&
+      isInSweepWindow(prefs.reminderTime || DEFAULT_REMINDER_TIME, minutes)) {
+    await sendPushToUser(userData.userId, buildDailyReminderPayload(userData));
+    sent.dailyReminder = dayKey;
+  }
+
+  const alertTime = String(streakAlertHour.value()).padStart(2, "0") + ":00";
+  if (prefs.streakAtRisk && state.streakAtRisk !== dayKey && isInSweepWindow(alertTime, minutes)) {
+    // Replay history first so a stale stored streak can't trigger a false alarm
+    const stats = await recomputeUserStats(userData.userId);
+    const lastDay = stats.lastDeclutterDate
+      ? toLocalDayKey(stats.lastDeclutterDate, timezone, streakGraceHours.value())
+      : null;
+    if (stats.streak > 0 && lastDay !== toLocalDayKey(now, timezone, streakGraceHours.value())) {
+      await sendPushToUser(userData.userId, buildStreakAtRiskPayload(stats.streak, stats.streakFreezes));
+    }
+    sent.streakAtRisk = dayKey;
+  }
+
+  if (Object.keys(sent).length) {
+    await userPrivateRef(userData.userId).set({ notificationState: sent }, { merge: true });
+  }
+  return sent;
+}
+
+/**
+ * sendScheduledNotifications — runs every 15 minutes.
+ * Sends each opted-in user's daily reminder at their chosen local time and a
+ * streak-at-risk alert in the evening if nothing has been logged today.
+ */
+exports.sendScheduledNotifications = onSchedule(
+  {
+    schedule: `every ${NOTIFICATION_SWEEP_MINUTES} minutes`,
+    timeZone: "UTC",
+    secrets: [vapidPrivateKey],
+    timeoutSeconds: 540,
+  },
+  async () => {
+    // Align to the window start so a late-firing run doesn't skip reminders
+    const now = new Date();
+    now.setUTCMinutes(now.getUTCMinutes() - (now.getUTCMinutes() % NOTIFICATION_SWEEP_MINUTES), 0, 0);
+
+    const subscribers = await firestoreDb.collection("push_subscriptions").select("userId").get();
+    const userIds = [...new Set(subscribers.docs.map((d) => d.data().userId))];
+
+    let notified = 0;
+    for (const userId of userIds) {
+      try {
+        const userDoc = await findUserDoc(userId);
+        if (!userDoc) continue;
+        const sent = await runNotificationsForUser(userDoc, now);
+        if (Object.keys(sent).length) notified++;
+      } catch (error) {
+        console.error("[Push] Sweep failed for", userId, error);
+      }
+    }
+    console.log("[Push] Sweep done:", userIds.length, "subscribed users,", notified, "notified");
+  }
+);
+
+// --- Weekly recap ---
+
+// Totals for one week's items, for the recap card and its week-over-week deltas
+function summarizeRecapWeek(items) {
+  const topSpace = getMostFrequent(items, "space");
+  const topCategory = getMostFrequent(items, "category");
+  return {
+    items: items.length,
+    points: items.reduce((sum, item) => sum + computeItemPoints(item).points, 0),
+    baCount: items.filter((item) => computeItemPoints(item).hasBeforeAfter).length,
+    topSpace: topSpace ? getSpaceDisplayName(topSpace) : null,
+    topCategory: topCategory ? getCategoryName(topCategory) : null,
+  };
+}
+
+function buildRecapUserMessage(recap, dreamVision, recentItemsList) {
+  const week = recap.stats;
+  const previous = recap.previous;
+  return `TASK: Write this user's WEEKLY RECAP reflection. DETAILED MODE: 2-3 sentences + 1 emoji.
+Compare this week with last week honestly (celebrate growth, be gentle about a slower week), name one specific item or pattern, and tie it back to their dream home vision if they have one. End with ONE concrete focus for next week.
+
+${dreamVision ? "Dream home vision: " + dreamVision : "No dream home vision set."}
+
+THIS WEEK (${recap.weekStart} to ${recap.weekEnd}):
+- Items decluttered: ${week.items}
+- Points: ${week.points}
+- Before & After photos: ${week.baCount}
+- Top space: ${week.topSpace || "N/A"}
+- Top category: ${week.topCategory || "N/A"}
+
+LAST WEEK:
+- Items decluttered: ${previous.items}
+- Points: ${previous.points}
+- Before & After photos: ${previous.baCount}
+
+Items this week:
+${recentItemsList || "  (none)"}`;
+}
+
+async function generateRecapReflection(recap, dreamVision, weekItems) {
+  try {
+    const { text } = await getProviders().complete("weeklyRecap", {
+      system: TIDY_SYSTEM_PROMPT,
+      messages: [{
+        role: "user",
+        content: buildRecapUserMessage(recap, dreamVision, formatRecentItemsList(weekItems.slice(0, 10))),
+      }],
+      maxTokens: 250,
+      userId: recap.userId,
+    });
+    return text;
+  } catch (error) {
+    console.error("[Recap] Reflection failed:", error.name, error.message);
+    return null;
+  }
+}
+
+/**
+ * Build and save weekly_recaps/{userId}_{weekStart} for the Monday–Sunday week
+ * before `todayKey` (a local Monday). Returns null when the user had no items
+ * in either week, so silent weeks don't produce empty recaps.
+ */
+async function writeWeeklyRecap(userDoc, todayKey, timezone) {
+  const userData = userDoc.data();
+  const weekStart = shiftDayKey(todayKey, -7);
+  const previousStart = shiftDayKey(todayKey, -14);
+
+  // No orderBy to avoid a composite index — same as the Tidy comment context
+  const itemsSnapshot = await firestoreDb
+    .collection("items")
+    .where("userId", "==", userData.userId)
+    .get();
+
+  const weekItems = [];
+  const previousItems = [];
+  itemsSnapshot.forEach((itemDoc) => {
+    const data = { docId: itemDoc.id, ...itemDoc.data() };
+    // Same items the profile stats count — not a kid's item still waiting on a parent
+    if (!countsTowardStats(data)) return;
+    const created = getItemDate(data);
+    if (!created) return;
+    const dayKey = toLocalDayKey(created, timezone);
+    if (dayKey >= weekStart && dayKey < todayKey) weekItems.push(data);
+    else if (dayKey >= previousStart && dayKey < weekStart) previousItems.push(data);
+  });
+  if (!weekItems.length && !previousItems.length) return null;
+
+  weekItems.sort((a, b) => toDateValue(b.createdAt) - toDateValue(a.createdAt));
+
+  const recap = {
+    userId: userData.userId,
+    weekStart,
+    weekEnd: shiftDayKey(todayKey, -1),
+    timezone,
+    stats: summarizeRecapWeek(weekItems),
+    previous: summarizeRecapWeek(previousItems),
+    // Used by the share image — newest first, same 9-photo cap as the You tab share
+    highlights: weekItems.slice(0, 9).map((item) => ({
+      docId: item.docId,
+      name: item.name || "",
+      image: item.image || null,
+    })),
+  };
+  recap.reflection = await generateRecapReflection(recap, userData.dreamVision || "", weekItems);
+
+  const recapId = `${userData.userId}_${weekStart}`;
+  await firestoreDb.collection("weekly_recaps").doc(recapId).set({
+    ...recap,
+    createdAt: FieldValue.serverTimestamp(),
+  });
+  await userDoc.ref.update({ latestRecapId: recapId });
+  return recapId;
+}
+
+/**
+ * generateWeeklyRecaps — runs hourly.
+ * Writes last week's recap for every user whose local time has just reached
+ * Monday RECAP_LOCAL_HOUR; the deterministic doc ID keeps reruns idempotent.
+ */
+exports.generateWeeklyRecaps = onSchedule(
+  {
+    schedule: "every 60 minutes",
+    timeZone: "UTC",
+    secrets: [anthropicApiKey],
+    timeoutSeconds: 540,
+  },
+  async () => {
+    const now = new Date();
+    const usersSnapshot = await firestoreDb
+      .collection("users")
+      .where("itemCount", ">", 0)
+      .get();
+
+    // Timezones are private, so fetch them alongside in one round trip
+    const userIds = usersSnapshot.docs.map((d) => d.get("userId")).filter(Boolean);
+    const privateDocs = userIds.length ? await firestoreDb.getAll(...userIds.map((id) => userPrivateRef(id))) : [];
+    const timezones = new Map(privateDocs.map((d) => [d.id, normalizeTimezone(d.get("timezone"))]));
+
+    let written = 0;
+    for (const userDoc of usersSnapshot.docs) {
+      const userData = userDoc.data();
+      const timezone = timezones.get(userData.userId) || "UTC";
+      const { minutes, dayKey } = getLocalClock(now, timezone);
+      const isMonday = new Date(dayKey + "T00:00:00Z").getUTCDay() === 1;
+      if (!isMonday || Math.floor(minutes / 60) !== recapLocalHour.value()) continue;
+
+      const recapId = `${userData.userId}_${shiftDayKey(dayKey, -7)}`;
+      try {
+        const existing = await firestoreDb.collection("weekly_recaps").doc(recapId).get();
+        if (existing.exists) continue;
+        if (await writeWeeklyRecap(userDoc, dayKey, timezone)) written++;
+      } catch (error) {
+        console.error("[Recap] Failed for", userData.userId, error);
+      }
+    }
+    console.log("[Recap] Sweep done:", written, "recaps written");
+  }
+);
+
+// --- Account export & deletion ---
+
+// Everything a user owns in Storage lives under these prefixes
+function getUserStoragePrefixes(userId) {
+  return [`items/${userId}/`, `profilePhotos/${userId}/`, `coach/${userId}/`];
+}
+
+// Per-user collections keyed by a userId field
+const USER_OWNED_COLLECTIONS = [
+  "items",
+  "coachSessions",
+  "coach_logs",
+  "weekly_recaps",
+  "push_subscriptions",
+  "notifications",
+  "image_variants",
+  "ai_usage",
+  "tidyConversations",
+  DISPOSITION_DETAILS_COLLECTION,
+];
+
+// Cap on photo bytes packed into one export so it finishes within the timeout.
+// Photos are streamed through the zip one at a time, so memory stays flat.
+const MAX_EXPORT_PHOTO_BYTES = 300 * 1024 * 1024;
+
+// Firestore Timestamps → ISO strings, recursively, for JSON/CSV output
+function toExportValue(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value.toDate === "function") return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(toExportValue);
+  if (typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toExportValue(v)]));
+  }
+  return value;
+}
+
+function toCsvCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildItemsCsv(items) {
+  const columns = [
+    "id", "createdAt", "name", "category", "space", "points", "bonusPoints",
+    "hasBeforeAfter", "disposition", "estimatedValue", "recipient", "note", "likeCount", "commentCount", "image", "beforePhotoURL", "afterPhotoURL",
+  ];
+  const rows = items.map((item) => columns.map((column) => {
+    if (column === "commentCount") return toCsvCell((item.commentCount || 0) + (item.comments || []).length);
+    return toCsvCell(item[column]);
+  }).join(","));
+  return [columns.join(","), ...rows].join("\n") + "\n";
+}
+
+function buildNotesMarkdown(items) {
+  const withNotes = items.filter((item) => item.note && item.note.trim());
+  if (!withNotes.length) return "# Notes\n\nNo notes yet.\n";
+  return "# Notes\n\n" + withNotes
+    .map((item) => `## ${item.name} (${(item.createdAt || "").slice(0, 10)})\n\n${item.note.trim()}\n`)
+    .join("\n");
+}
+
+async function getUserOwnedDocs(collectionName, userId) {
+  const snapshot = await firestoreDb
+    .collection(collectionName)
+    .where("userId", "==", userId)
+    .get();
+  return snapshot.docs;
+}
+
+// Delete refs in batches under Firestore's 500-writes-per-batch limit
+async function deleteRefsInBatches(refs) {
+  for (let i = 0; i < refs.length; i += 400) {
+    const batch = firestoreDb.batch();
+    refs.slice(i, i + 400).forEach((ref) => batch.delete(ref));
+    await batch.commit();
+  }
+}
+
+/**
+ * exportAccountData — Callable.
+ * Packs the caller's profile, badges, items (JSON + CSV), notes, AI comments,
+ * Coach analyses, weekly recaps and every photo into a ZIP in Storage and
+ * returns a download URL. Each export replaces the previous one.
+ */
+exports.exportAccountData = onCall(
+  { timeoutSeconds: 300, memory: "512MiB" },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError("unauthenticated", "Sign in required.");
+    }
+    const userId = toAppUserId(request.auth.uid);
+    const userDoc = await findUserDoc(userId);
+    if (!userDoc) {
+      throw new HttpsError("not-found", "User profile not found.");
+    }
+
+    const [itemDocs, sessionDocs, logDocs, recapDocs, conversationDocs] = await Promise.all([
+      getUserOwnedDocs("items", userId),
+      getUserOwnedDocs("coachSessions", userId),
+      getUserOwnedDocs("coach_logs", userId),
+      getUserOwnedDocs("weekly_recaps", userId),
+      getUserOwnedDocs(TIDY_CONVERSATIONS_COLLECTION, userId),
+    ]);
+    const toRecords = (docs) => docs.map((d) => ({ id: d.id, ...toExportValue(d.data()) }));
+    const [tidyDocs, commentsSnapshot] = await Promise.all([
+      itemDocs.length
+        ? firestoreDb.getAll(...itemDocs.map((d) => d.ref.collection(COMMENTS_COLLECTION).doc(TIDY_COMMENT_ID)))
+        : [],
+      firestoreDb.collectionGroup(COMMENTS_COLLECTION).where("userId", "==", userId).get(),
+    ]);
+    const tidyByItem = Object.fromEntries(tidyDocs
+      .filter((d) => d.exists)
+      .map((d) => [d.ref.parent.parent.id, toExportValue(d.data())]));
+    const items = (await withDispositionDetails(userId, itemDocs))
+      .map(toExportValue)
+      .sort((a, b) => String(b.createdAt || "").localeCompare(String(a.createdAt || "")));
+    const profile = toExportValue({ ...userDoc.data(), ...(await getUserPrivate(userId)) });
+
+    const zip = new JSZip();
+    zip.file("profile.json", JSON.stringify(profile, null, 2));
+    zip.file("badges.json", JSON.stringify(profile.badges || [], null, 2));
+    zip.file("items.json", JSON.stringify(items, null, 2));
+    zip.file("items.csv", buildItemsCsv(items));
+    zip.file("notes.md", buildNotesMarkdown(items));
+    zip.file("ai_comments.json", JSON.stringify(
+      items
+        .map((item) => ({
+          itemId: item.id,
+          itemName: item.name,
+          comments: [...(item.comments || []).filter((c) => c.isAI), ...(tidyByItem[item.id] ? [tidyByItem[item.id]] : [])],
+        }))
+        .filter((entry) => entry.comments.length),
+      null,
+      2
+    ));
+    zip.file("comments.json", JSON.stringify(
+      commentsSnapshot.docs.map((d) => ({ id: d.id, itemId: d.ref.parent.parent.id, ...toExportValue(d.data()) })),
+      null,
+      2
+    ));
+    zip.file("coach_analyses.json", JSON.stringify(toRecords(sessionDocs), null, 2));
+    zip.file("coach_usage.json", JSON.stringify(toRecords(logDocs), null, 2));
+    zip.file("weekly_recaps.json", JSON.stringify(toRecords(recapDocs), null, 2));
+    zip.file("tidy_conversations.json", JSON.stringify(toRecords(conversationDocs), null, 2));
+
+    const bucket = getStorage().bucket();
+    let photoBytes = 0;
+    let photoCount = 0;
+    const skippedPhotos = [];
+    for (const prefix of getUserStoragePrefixes(userId)) {
+      const [files] = await bucket.getFiles({ prefix });
+      for (const file of files) {
+        // Resized copies of photos that are already in the archive
+        if (file.name.includes("/variants/")) continue;
+        const size = Number(file.metadata.size || 0);
+        if (photoBytes + size > MAX_EXPORT_PHOTO_BYTES) {
+          skippedPhotos.push(file.name);
+          continue;
+        }
+        // Read lazily as the zip reaches this entry; photos are already compressed
+        zip.file(`photos/${file.name}`, file.createReadStream(), { compression: "STORE" });
+        photoBytes += size;
+        photoCount++;
+      }
+    }
+
+    zip.file("README.txt", [
+      "Declutter Daily — account export",
+      `Exported: ${new Date().toISOString()}`,
+      `Items: ${items.length}`,
+      `Photos: ${photoCount}`,
+      skippedPhotos.length
+        ? `Skipped ${skippedPhotos.length} photo(s) over the export size limit:\n  ${skippedPhotos.join("\n  ")}`
+        : "",
+    ].filter(Boolean).join("\n") + "\n");
+
+    await bucket.deleteFiles({ prefix: `exports/${userId}/` });
+    const filePath = `exports/${userId}/declutter-export-${new Date().toISOString().slice(0, 10)}.zip`;
+    const downloadToken = crypto.randomUUID();
+    await pipeline(
+      zip.generateNodeStream({ type: "nodebuffer", compression: "DEFLATE", streamFiles: true }),
+      bucket.file(filePath).createWriteStream({
+        contentType: "application/zip",
+        metadata: {
+          cacheControl: "private,max-age=0",
+          metadata: { firebaseStorageDownloadTokens: downloadToken },
+        },
+      })
+    );
+
+    console.log("[Export] Export ready for", userId, items.length, "items,", photoCount, "photos");
+    return {
+      url: `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(filePath)}?alt=media&token=${downloadToken}`,
+      itemCount: items.length,
+      photoCount,
+      skippedPhotos: skippedPhotos.length,
+    };
+  }
+);
+
+// --- Donation report ---
+// A year of donated items with photos, recipients and estimated values, as a
+// PDF for tax records plus a CSV of the same rows. Kept apart from exports/
+// so an account export doesn't delete it.
+
+const REPORTS_PREFIX = "reports/";
+const DONATION_REPORT_THUMB_PX = 160;
+
+// pdfkit's built-in Helvetica only covers Latin-1, so item names and
+// recipients are set in Noto Sans KR (Hangul, Kana, Han, Cyrillic, Latin),
+// switching to Noto Emoji for runs of emoji
+const REPORT_FONT = require.resolve("@expo-google-fonts/noto-sans-kr/400Regular/NotoSansKR_400Regular.ttf");
+const REPORT_EMOJI_FONT = require.resolve("@expo-google-fonts/noto-emoji/400Regular/NotoEmoji_400Regular.ttf");
+const EMOJI_RUN = /((?:\p{Extended_Pictographic}|\p{Regional_Indicator})(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|\p{Emoji_Modifier}|[\u200D\uFE0F\u20E3])*)/u;
+
+function plainCategoryName(category) {
+  return getCategoryName(category).replace(/^\S+\s/, "");
+}
+
+function formatReportValue(value) {
+  return Number.isFinite(value) ? value.toFixed(2) : "";
+}
+
+async function saveReportFile(bucket, filePath, buffer, contentType) {
+  const downloadToken = crypto.randomUUID();
+  await bucket.file(filePath).save(buffer, {
+    contentType,
+    metadata: {
+      cacheControl: "private,max-age=0",
+      metadata: { firebaseStorageDownloadTokens: downloadToken },
+    },
+  });
+  return `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(filePath)}?alt=media&token=${downloadToken}`;
+}
+
+// Small JPEG of the item photo for the PDF, or null if it can't be read
+async function loadReportThumbnail(bucket, imageUrl) {
+  const path = imageUrl ? resolveProxyPath({ url: imageUrl }, bucket.name) : null;
+  if (!path) return null;
+  try {
+    const [contents] = await bucket.file(path).download();
+    return await sharp(contents)
+      .rotate()
+      .resize(DONATION_REPORT_THUMB_PX, DONATION_REPORT_THUMB_PX, { fit: "cover" })
+      .jpeg({ quality: 75 })
+      .toBuffer();
+  } catch (error) {
+    console.warn("[DonationReport] Photo unavailable:", path, error.message);
+    return null;
+  }
+}
+
+function buildDonationCsv(rows) {
+  const columns = ["date", "item", "category", "space", "recipient", "estimatedValue", "note", "photo"];
+  const lines = rows.map((row) => [
+    row.date, row.name, plainCategoryName(row.category), getSpaceDisplayName(row.space) || "",
+    row.recipient, formatReportValue(row.estimatedValue), row.note, row.image,
+  ].map(toCsvCell).join(","));
+  return [columns.join(","), ...lines].join("\n") + "\n";
+}
+
+// doc.text() for a line that may mix emoji in, one run per font. x/y and the
+// options apply to the line as a whole, like a single doc.text() call.
+function writeReportText(doc, text, ...args) {
+  const options = typeof args[args.length - 1] === "object" ? args.pop() : {};
+  const runs = String(text).split(EMOJI_RUN).filter(Boolean);
+  if (!runs.length) runs.push("");
+  runs.forEach((run, i) => {
+    doc.font(EMOJI_RUN.test(run) ? "emoji" : "body");
+    const position = i === 0 ? args : [];
+    doc.text(run, ...position, { ...options, continued: i < runs.length - 1 });
+  });
+  doc.font("body");
+  return doc;
+}
+
+function buildDonationPdf({ year, ownerName, rows, totalValue, thumbnails }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "LETTER", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    doc.registerFont("body", REPORT_FONT);
+    doc.registerFont("emoji", REPORT_EMOJI_FONT);
+    doc.font("body");
+
+    doc.fontSize(20).text(`Donations ${year}`);
+    doc.moveDown(0.3).fontSize(11).fillColor("#555555");
+    writeReportText(doc, `${ownerName} · ${rows.length} item${rows.length === 1 ? "" : "s"} · ` +
+      `total estimated value ${formatReportValue(totalValue) || "0.00"}`);
+    doc.text("Values are the owner's own estimates, in their local currency.")
+      .text(`Generated ${new Date().toISOString().slice(0, 10)} by Declutter Daily`);
+    doc.moveDown(1).fillColor("#000000");
+
+    const thumbSize = 64;
+    const textX = doc.page.margins.left + thumbSize + 12;
+    const textWidth = doc.page.width - doc.page.margins.right - textX;
+    rows.forEach((row, i) => {
+      if (doc.y + thumbSize > doc.page.height - doc.page.margins.bottom) doc.addPage();
+      const top = doc.y;
+      if (thumbnails[i]) {
+        doc.image(thumbnails[i], doc.page.margins.left, top, { width: thumbSize, height: thumbSize });
+      } else {
+        doc.rect(doc.page.margins.left, top, thumbSize, thumbSize).stroke("#DDDDDD");
+      }
+      writeReportText(doc.fontSize(12), row.name, textX, top, { width: textWidth });
+      doc.fontSize(10).fillColor("#555555")
+        .text(`${row.date} · ${plainCategoryName(row.category)}`, textX, doc.y, { width: textWidth });
+      writeReportText(doc, `Recipient: ${row.recipient || "—"}`, textX, doc.y, { width: textWidth })
+        .text(`Estimated value: ${formatReportValue(row.estimatedValue) || "—"}`, textX, doc.y, { width: textWidth });
+      doc.fillColor("#000000");
+      doc.x = doc.page.margins.left;
+      doc.y = Math.max(doc.y, top + thumbSize) + 12;
+    });
+
+    doc.end();
+  });
+}
+
+/**
+ * exportDonationReport — Callable. Data: { year } (defaults to this year).
+ * Builds the caller's donation report for items marked "donate" in that
+ * calendar year (in the owner's profile timezone) and returns download URLs.
+ * Returns { itemCount: 0 } when there is nothing to report.
+ */
+exports.exportDonationReport = onCall(
+  { timeoutSeconds: 300, memory: "1GiB" },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError("unauthenticated", "Sign in required.");
+    }
+    const currentYear = new Date().getUTCFullYear();
+    const year = Number(request.data?.year ?? currentYear);
+    if (!Number.isInteger(year) || year < 2000 || year > currentYear + 1) {
+      throw new HttpsError("invalid-argument", "year must be a valid calendar year.");
+    }
+    const userId = toAppUserId(request.auth.uid);
+    const userDoc = await findUserDoc(userId);
+    if (!userDoc) {
+      throw new HttpsError("not-found", "User profile not found.");
+    }
+
+    const timezone = normalizeTimezone((await getUserPrivate(userId)).timezone);
+    const rows = (await withDispositionDetails(userId, await getUserOwnedDocs("items", userId)))
+      .filter((item) => item.disposition === "donate")
+      .map((item) => {
+        const created = toDateValue(item.createdAt);
+        return {
+          ...item,
+          date: created ? toLocalDayKey(created, timezone) : "",
+        };
+      })
+      .filter((row) => row.date.startsWith(String(year)))
+      .sort((a, b) => a.date.localeCompare(b.date));
+    if (!rows.length) return { itemCount: 0, year };
+
+    const totalValue = rows.reduce((sum, row) => sum + (Number.isFinite(row.estimatedValue) ? row.estimatedValue : 0), 0);
+    const bucket = getStorage().bucket();
+    const thumbnails = [];
+    for (const row of rows) {
+      thumbnails.push(await loadReportThumbnail(bucket, row.image));
+    }
+    const pdf = await buildDonationPdf({
+      year,
+      ownerName: userDoc.data().name || "Declutter Daily member",
+      rows,
+      totalValue,
+      thumbnails,
+    });
+
+    const basePath = `${REPORTS_PREFIX}${userId}/donations-${year}`;
+    const [pdfUrl, csvUrl] = await Promise.all([
+      saveReportFile(bucket, `${basePath}.pdf`, pdf, "application/pdf"),
+      saveReportFile(bucket, `${basePath}.csv`, Buffer.from(buildDonationCsv(rows)), "text/csv"),
+    ]);
+
+    console.log("[DonationReport] Report ready for", userId, year, rows.length, "items");
+    return { year, itemCount: rows.length, totalValue, pdfUrl, csvUrl };
+  }
+);
+
+/**
+ * migrateDispositionDetails — Callable one-off repair job (admin only).
+ * Moves estimatedValue and recipient written on items before they got their
+ * own owner-only doc into dispositionDetails, and drops them from the item.
+ */
+exports.migrateDispositionDetails = onCall(
+  { timeoutSeconds: 540, memory: "512MiB" },
+  async (request) => {
+    if (request.auth?.token?.admin !== true) {
+      throw new HttpsError("permission-denied", "Admin only.");
+    }
+
+    const itemsSnapshot = await firestoreDb.collection("items").get();
+    const docs = itemsSnapshot.docs.filter((d) => d.data().userId &&
+      (d.data().estimatedValue !== undefined || d.data().recipient !== undefined));
+    for (let i = 0; i < docs.length; i += 200) {
+      const batch = firestoreDb.batch();
+      docs.slice(i, i + 200).forEach((d) => {
+        const { userId, estimatedValue = null, recipient = null } = d.data();
+        if (estimatedValue !== null || recipient !== null) {
+          batch.set(firestoreDb.collection(DISPOSITION_DETAILS_COLLECTION).doc(d.id), { userId, estimatedValue, recipient });
+        }
+        batch.update(d.ref, { estimatedValue: FieldValue.delete(), recipient: FieldValue.delete() });
+      });
+      await batch.commit();
+    }
+
+    console.log("[DonationReport] Moved disposition details off", docs.length, "items");
+    return { migrated: docs.length };
+  }
+);
+
+/**
+ * deleteAccount — Callable. Requires { confirm: "DELETE" }.
+ * Cancels any live subscription, removes the caller's likes from other
+ * people's items, deletes their Firestore docs and Storage objects, and
+ * finally deletes the Firebase Auth user.
+ */
+exports.deleteAccount = onCall(
+  { timeoutSeconds: 540, memory: "512MiB", secrets: [stripeSecretKey] },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError("unauthenticated", "Sign in required.");
+    }
+    if (request.data?.confirm !== "DELETE") {
+      throw new HttpsError("invalid-argument", "Deletion must be confirmed.");
+    }
+    const uid = request.auth.uid;
+    const userId = toAppUserId(uid);
+    const userDoc = await findUserDoc(userId);
+    const counts = {};
+
+    // Stop billing first — a deleted account must never be charged again
+    const privateData = await getUserPrivate(userId);
+    const subscription = privateData.subscription;
+    if (subscription?.stripeSubscriptionId && hasProEntitlement(privateData)) {
+      const stripe = new Stripe(stripeSecretKey.value());
+      await stripe.subscriptions.cancel(subscription.stripeSubscriptionId);
+    }
+
+    // Likes left on other people's items
+    const likedSnapshot = await firestoreDb
+      .collection("items")
+      .where("likes", "array-contains", userId)
+      .get();
+    const likedDocs = likedSnapshot.docs.filter((d) => d.data().userId !== userId);
+    for (let i = 0; i < likedDocs.length; i += 400) {
+      const batch = firestoreDb.batch();
+      likedDocs.slice(i, i + 400).forEach((d) => batch.update(d.ref, {
+        likes: FieldValue.arrayRemove(userId),
+        likeCount: FieldValue.increment(-1),
+      }));
+      await batch.commit();
+    }
+    counts.likesRemoved = likedDocs.length;
+
+    // Comments left on other people's items (replies to them go too, via onCommentDeleted)
+    const commentsSnapshot = await firestoreDb
+      .collectionGroup(COMMENTS_COLLECTION)
+      .where("userId", "==", userId)
+      .get();
+    await deleteRefsInBatches(commentsSnapshot.docs.map((d) => d.ref));
+    counts.comments = commentsSnapshot.size;
+
+    // Their posts in followers' feeds go before the edges do — once the edges
+    // are gone, removeItemFromFeeds can no longer find those followers
+    for (const followerId of await getFollowerIds(userId)) {
+      const feedSnapshot = await feedItemsRef(followerId).where("authorId", "==", userId).get();
+      await deleteRefsInBatches(feedSnapshot.docs.map((d) => d.ref));
+    }
+
+    // Follow edges in both directions (keeps the other side's counts right) and the fanned-out feed
+    counts.follows = await removeAllFollows(userId);
+    await firestoreDb.recursiveDelete(firestoreDb.collection(FEEDS_COLLECTION).doc(userId));
+
+    // Leave the household first so the item deletes below don't rescore it one by one
+    const householdId = userDoc?.data().householdId;
+    if (householdId) counts.householdLeft = await removeHouseholdMember(householdId, userId);
+
+    for (const collectionName of USER_OWNED_COLLECTIONS) {
+      const docs = await getUserOwnedDocs(collectionName, userId);
+      await deleteRefsInBatches(docs.map((d) => d.ref));
+      counts[collectionName] = docs.length;
+    }
+
+    const bucket = getStorage().bucket();
+    const storagePrefixes = getUserStoragePrefixes(userId);
+    for (const prefix of [
+      ...storagePrefixes,
+      ...storagePrefixes.map((p) => IMAGE_CACHE_PREFIX + p),
+      `exports/${userId}/`,
+      `${REPORTS_PREFIX}${userId}/`,
+    ]) {
+      await bucket.deleteFiles({ prefix });
+    }
+
+    // The profile goes last so item delete triggers still find it mid-way
+    if (userDoc) await userDoc.ref.delete();
+    await userPrivateRef(userId).delete();
+
+    try {
+      await getAuth().deleteUser(uid);
+    } catch (error) {
+      if (error.code !== "auth/user-not-found") throw error;
+    }
+
+    console.log("[Account] Deleted account", userId, counts);
+    return { deleted: true, counts };
+  }
+);
+
+// --- Leaderboards ---
+
+const LEADERBOARD_SIZE = 20;
+const LEADERBOARD_PERIODS = ["week", "month", "all"];
+const LEADERBOARD_SCORE_FIELDS = { week: "weekScore", month: "monthScore", all: "score" };
+const FOLLOWS_COLLECTION = "follows";
+
+// Current UTC period keys: the week's Monday ("YYYY-MM-DD") and the month ("YYYY-MM")
+function getPeriodKeys(now = new Date()) {
+  const dayKey = toDayKey(now);
+  return { week: toWeekStartKey(dayKey), month: dayKey.slice(0, 7) };
+}
+
+// A period score only counts while its key is current — stale docs read as 0
+// until rolloverLeaderboards resets them.
+function getPeriodScore(userData, period, periodKeys) {
+  if (period === "all") return userData.score || 0;
+  if (userData[period + "Key"] !== periodKeys[period]) return 0;
+  return userData[LEADERBOARD_SCORE_FIELDS[period]] || 0;
+}
+
+function toLeaderboardEntry(userData, score, rank) {
+  return {
+    rank,
+    userId: userData.userId,
+    name: userData.name || "",
+    photoURL: userData.photoURL || null,
+    streak: userData.streak || 0,
+    score,
+  };
+}
+
+async function getFollowingIds(userId) {
+  const snapshot = await firestoreDb
+    .collection(FOLLOWS_COLLECTION)
+    .where("followerId", "==", userId)
+    .get();
+  return snapshot.docs.map((d) => d.data().followeeId);
+}
+
+// Fetch users docs for a list of app user IDs ("in" queries take 30 at a time)
+async function getUsersByIds(userIds) {
+  const docs = [];
+  for (let i = 0; i < userIds.length; i += 30) {
+    const snapshot = await firestoreDb
+      .collection("users")
+      .where("userId", "in", userIds.slice(i, i + 30))
+      .get();
+    docs.push(...snapshot.docs);
+  }
+  return docs;
+}
+
+/**
+ * getLeaderboard — Callable.
+ * { period: "week" | "month" | "all", scope: "global" | "following" }
+ * Returns the top 20 for the period plus the caller's own rank, which is
+ * counted server-side so it's right even far outside the top 20.
+ */
+exports.getLeaderboard = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Sign in required.");
+  }
+  const period = LEADERBOARD_PERIODS.includes(request.data?.period) ? request.data.period : "all";
+  const scope = request.data?.scope === "following" ? "following" : "global";
+  const scoreField = LEADERBOARD_SCORE_FIELDS[period];
+  const periodKeys = getPeriodKeys();
+  const userId = toAppUserId(request.auth.uid);
+
+  const meDoc = await findUserDoc(userId);
+  const myScore = meDoc ? getPeriodScore(meDoc.data(), period, periodKeys) : 0;
+
+  if (scope === "following") {
+    const followingIds = await getFollowingIds(userId);
+    const docs = await getUsersByIds([...new Set([userId, ...followingIds])]);
+    const ranked = docs
+      .map((d) => ({ data: d.data(), score: getPeriodScore(d.data(), period, periodKeys) }))
+      .sort((a, b) => b.score - a.score)
+      .map(({ data, score }, index) => toLeaderboardEntry(data, score, index + 1));
+    const me = ranked.find((entry) => entry.userId === userId);
+    return {
+      period,
+      scope,
+      periodKey: periodKeys[period] || null,
+      followingCount: followingIds.length,
+      entries: ranked.slice(0, LEADERBOARD_SIZE),
+      me: me ? { rank: me.rank, score: me.score } : null,
+    };
+  }
+
+  // Week/month scores only count for docs stamped with the current period key;
+  // until rolloverLeaderboards runs, a stale doc still carries last period's score
+  const usersInPeriod = period === "all" ?
+    firestoreDb.collection("users") :
+    firestoreDb.collection("users").where(period + "Key", "==", periodKeys[period]);
+  const topSnapshot = await usersInPeriod
+    .orderBy(scoreField, "desc")
+    .limit(LEADERBOARD_SIZE)
+    .get();
+  const entries = topSnapshot.docs
+    .map((d) => ({ data: d.data(), score: getPeriodScore(d.data(), period, periodKeys) }))
+    .filter(({ score }) => period === "all" || score > 0)
+    .map(({ data, score }, index) => toLeaderboardEntry(data, score, index + 1));
+
+  let me = null;
+  if (meDoc) {
+    const ahead = await usersInPeriod
+      .where(scoreField, ">", myScore)
+      .count()
+      .get();
+    me = { rank: ahead.data().count + 1, score: myScore };
+  }
+
+  return { period, scope, periodKey: periodKeys[period] || null, entries, me };
+});
+
+/**
+ * rolloverLeaderboards — daily at 00:05 UTC.
+ * Zeroes weekScore/monthScore on every users doc still carrying last
+ * period's key, so the new week/month starts from a clean board. Users who
+ * log an item first are already rolled over by recomputeUserStats.
+ */
+exports.rolloverLeaderboards = onSchedule(
+  { schedule: "5 0 * * *", timeZone: "UTC", timeoutSeconds: 540 },
+  async () => {
+    const periodKeys = getPeriodKeys();
+    for (const period of ["week", "month"]) {
+      const keyField = period + "Key";
+      const stale = await firestoreDb
+        .collection("users")
+        .where(keyField, "!=", periodKeys[period])
+        .get();
+
+      for (let i = 0; i < stale.docs.length; i += 400) {
+        const batch = firestoreDb.batch();
+        stale.docs.slice(i, i + 400).forEach((d) => batch.update(d.ref, {
+          [keyField]: periodKeys[period],
+          [LEADERBOARD_SCORE_FIELDS[period]]: 0,
+        }));
+        await batch.commit();
+      }
+      console.log("[Leaderboard]", period, "rolled over to", periodKeys[period] + ":", stale.size, "users reset");
+    }
+  }
+);
+
+// --- Follows ---
+// follows/{followerId}_{followeeId} holds one edge per pair, and the users docs
+// carry followerCount/followingCount. Items are fanned out on write to
+// feeds/{followerId}/feed_items/{itemId}, so the Following tab is one ordered
+// query no matter how many people someone follows.
+
+const FEEDS_COLLECTION = "feeds";
+const FEED_ITEMS_COLLECTION = "feed_items";
+// Recent items copied into a new follower's feed so the tab isn't empty
+const FEED_BACKFILL_LIMIT = 20;
+
+function followDocId(followerId, followeeId) {
+  return `${followerId}_${followeeId}`;
+}
+
+function feedItemsRef(userId) {
+  return firestoreDb.collection(FEEDS_COLLECTION).doc(userId).collection(FEED_ITEMS_COLLECTION);
+}
+
+function toFeedEntry(itemId, itemData) {
+  return {
+    itemId,
+    authorId: itemData.userId,
+    hasBeforeAfter: !!itemData.hasBeforeAfter,
+    createdAt: itemData.createdAt || FieldValue.serverTimestamp(),
+  };
+}
+
+async function getFollowerIds(userId) {
+  const snapshot = await firestoreDb
+    .collection(FOLLOWS_COLLECTION)
+    .where("followeeId", "==", userId)
+    .get();
+  return snapshot.docs.map((d) => d.data().followerId);
+}
+
+// Add or remove one follow edge and adjust both users' counts atomically.
+// Returns false when the edge was already in the requested state.
+async function setFollowEdge(followerId, followeeId, following) {
+  const [followerDoc, followeeDoc] = await Promise.all([findUserDoc(followerId), findUserDoc(followeeId)]);
+  if (!followerDoc || !followeeDoc) {
+    throw new HttpsError("not-found", "User not found.");
+  }
+  const edgeRef = firestoreDb.collection(FOLLOWS_COLLECTION).doc(followDocId(followerId, followeeId));
+  const delta = following ? 1 : -1;
+
+  return firestoreDb.runTransaction(async (tx) => {
+    const edge = await tx.get(edgeRef);
+    if (edge.exists === following) return false;
+    if (following) {
+      tx.set(edgeRef, { followerId, followeeId, createdAt: FieldValue.serverTimestamp() });
+    } else {
+      tx.delete(edgeRef);
+    }
+    tx.update(followerDoc.ref, { followingCount: FieldValue.increment(delta) });
+    tx.update(followeeDoc.ref, { followerCount: FieldValue.increment(delta) });
+    return true;
+  });
+}
+
+function getFollowTarget(request) {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Sign in required.");
+  }
+  const followerId = toAppUserId(request.auth.uid);
+  const followeeId = request.data?.userId;
+  if (typeof followeeId !== "string" || !followeeId) {
+    throw new HttpsError("invalid-argument", "userId is required.");
+  }
+  if (followeeId === followerId) {
+    throw new HttpsError("invalid-argument", "You can't follow yourself.");
+  }
+  return { followerId, followeeId };
+}
+
+/**
+ * followUser — Callable. { userId }
+ * Creates the follow edge and backfills the followee's recent items into
+ * the caller's Following feed.
+ */
+exports.followUser = onCall(async (request) => {
+  const { followerId, followeeId } = getFollowTarget(request);
+  const created = await setFollowEdge(followerId, followeeId, true);
+
+  if (created) {
+    const itemsSnapshot = await firestoreDb
+      .collection("items")
+      .where("userId", "==", followeeId)
+      .get();
+    const recent = itemsSnapshot.docs
+      .sort((a, b) => (toDateValue(b.data().createdAt)?.getTime() || 0) - (toDateValue(a.data().createdAt)?.getTime() || 0))
+      .slice(0, FEED_BACKFILL_LIMIT);
+    const batch = firestoreDb.batch();
+    recent.forEach((d) => batch.set(feedItemsRef(followerId).doc(d.id), toFeedEntry(d.id, d.data())));
+    await batch.commit();
+  }
+
+  return { following: true };
+});
+
+/**
+ * unfollowUser — Callable. { userId }
+ * Removes the follow edge and the followee's items from the caller's feed.
+ */
+exports.unfollowUser = onCall(async (request) => {
+  const { followerId, followeeId } = getFollowTarget(request);
+  await setFollowEdge(followerId, followeeId, false);
+
+  const feedSnapshot = await feedItemsRef(followerId).where("authorId", "==", followeeId).get();
+  await deleteRefsInBatches(feedSnapshot.docs.map((d) => d.ref));
+
+  return { following: false };
+});
+
+// Drop every edge touching userId, decrementing the counts on the other side
+async function removeAllFollows(userId) {
+  const [outgoing, incoming] = await Promise.all([
+    firestoreDb.collection(FOLLOWS_COLLECTION).where("followerId", "==", userId).get(),
+    firestoreDb.collection(FOLLOWS_COLLECTION).where("followeeId", "==", userId).get(),
+  ]);
+  const others = [
+    ...outgoing.docs.map((d) => ({ ref: d.ref, otherId: d.data().followeeId, field: "followerCount" })),
+    ...incoming.docs.map((d) => ({ ref: d.ref, otherId: d.data().followerId, field: "followingCount" })),
+  ];
+  for (const { ref, otherId, field } of others) {
+    const otherDoc = await findUserDoc(otherId);
+    const batch = firestoreDb.batch();
+    batch.delete(ref);
+    if (otherDoc) batch.update(otherDoc.ref, { [field]: FieldValue.increment(-1) });
+    await batch.commit();
+  }
+  return others.length;
+}
+
+/**
+ * fanOutItemToFollowers — Firestore trigger on items/{itemId} create.
+ * Writes a feed entry for every follower of the item's author.
+ */
+exports.fanOutItemToFollowers = onDocumentCreated("items/{itemId}", async (event) => {
+  const snap = event.data;
+  if (!snap) return;
+  const itemData = snap.data();
+  if (!itemData.userId) return;
+
+  const followerIds = await getFollowerIds(itemData.userId);
+  const entry = toFeedEntry(event.params.itemId, itemData);
+  for (let i = 0; i < followerIds.length; i += 400) {
+    const batch = firestoreDb.batch();
+    followerIds.slice(i, i + 400).forEach((followerId) => {
+      batch.set(feedItemsRef(followerId).doc(event.params.itemId), entry);
+    });
+    await batch.commit();
+  }
+  if (followerIds.length) {
+    console.log("[Follow] Fanned out", event.params.itemId, "to", followerIds.length, "followers");
+  }
+});
+
+/**
+ * removeItemFromFeeds — Firestore trigger on items/{itemId} delete.
+ */
+exports.removeItemFromFeeds = onDocumentDeleted("items/{itemId}", async (event) => {
+  const snap = event.data;
+  if (!snap) return;
+  const itemData = snap.data();
+  if (!itemData.userId) return;
+
+  const followerIds = await getFollowerIds(itemData.userId);
+  await deleteRefsInBatches(followerIds.map((followerId) => feedItemsRef(followerId).doc(event.params.itemId)));
+});
+
+// --- Households ---
+// households/{householdId}: { name, ownerId, inviteCode, spaces, timezone,
+// memberIds, members: { [userId]: { name, role, joinedAt, score, streak,
+// itemCount } }, plus the combined score/itemCount/streak/longestStreak/
+// weekScore/spaceCounts }. Membership is the users doc's householdId, and
+// every member's items carry householdId (stamped by scoreItemOnCreate) so
+// the household feed is one query. A kid's item from an approval space waits
+// for a parent as items.approval "pending" and counts toward nothing until
+// approved.
+
+const HOUSEHOLDS_COLLECTION = "households";
+const HOUSEHOLD_ROLES = ["parent", "member", "kid"];
+const HOUSEHOLD_MAX_MEMBERS = 8;
+const HOUSEHOLD_NAME_MAX_LENGTH = 40;
+// No 0/O or 1/I/L, so a code read aloud or off a screen still works
+const HOUSEHOLD_INVITE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const HOUSEHOLD_INVITE_LENGTH = 6;
+const HOUSEHOLD_APPROVAL_SPACES = ["kids_room"];
+
+function householdRef(householdId) {
+  return firestoreDb.collection(HOUSEHOLDS_COLLECTION).doc(householdId);
+}
+
+function cleanHouseholdName(raw) {
+  const name = typeof raw === "string" ? raw.replace(/\s+/g, " ").trim() : "";
+  if (!name || name.length > HOUSEHOLD_NAME_MAX_LENGTH) {
+    throw new HttpsError("invalid-argument", `Household name must be 1-${HOUSEHOLD_NAME_MAX_LENGTH} characters.`);
+  }
+  return name;
+}
+
+async function generateInviteCode() {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    let code = "";
+    for (let i = 0; i < HOUSEHOLD_INVITE_LENGTH; i++) {
+      code += HOUSEHOLD_INVITE_ALPHABET[crypto.randomInt(HOUSEHOLD_INVITE_ALPHABET.length)];
+    }
+    const taken = await firestoreDb
+      .collection(HOUSEHOLDS_COLLECTION)
+      .where("inviteCode", "==", code)
+      .limit(1)
+      .get();
+    if (taken.empty) return code;
+  }
+  throw new HttpsError("unavailable", "Couldn't create an invite code. Please try again.");
+}
+
+// householdId and approval for a newly created item, from its owner's
+// membership. Fields the client wrote are never trusted.
+async function getItemHouseholdFields(itemData) {
+  const userDoc = await findUserDoc(itemData.userId);
+  const householdId = userDoc?.data().householdId;
+  if (!householdId) {
+    return { householdId: FieldValue.delete(), approval: FieldValue.delete() };
+  }
+  const householdSnap = await householdRef(householdId).get();
+  const role = householdSnap.exists ? householdSnap.data().members?.[itemData.userId]?.role : null;
+  if (!role) {
+    return { householdId: FieldValue.delete(), approval: FieldValue.delete() };
+  }
+  const needsApproval = role === "kid" && HOUSEHOLD_APPROVAL_SPACES.includes(itemData.space);
+  return { householdId, approval: needsApproval ? "pending" : FieldValue.delete() };
+}
+
+// Stamp (or with null, clear) householdId on all of a user's items. Leaving
+// also drops pending approvals — there's no parent left to give them.
+async function setItemsHousehold(userId, householdId) {
+  const itemsSnapshot = await firestoreDb.collection("items").where("userId", "==", userId).get();
+  const docs = itemsSnapshot.docs;
+  for (let i = 0; i < docs.length; i += 400) {
+    const batch = firestoreDb.batch();
+    docs.slice(i, i + 400).forEach((d) => {
+      const update = { householdId: householdId || FieldValue.delete() };
+      if (!householdId && d.data().approval === "pending") {
+        update.approval = FieldValue.delete();
+        update.feedVisible = isFeedVisible({ ...d.data(), approval: null });
+      }
+      batch.update(d.ref, update);
+    });
+    await batch.commit();
+  }
+}
+
+/**
+ * Rebuild a household's combined score, item count, streak and per-space
+ * counts from its items, and refresh each member's own score/streak from
+ * their users doc. A day counts toward the household streak when any member
+ * decluttered. Returns the stats, or null if the household is gone.
+ */
+async function recomputeHouseholdStats(householdId) {
+  const ref = householdRef(householdId);
+  const itemsQuery = firestoreDb.collection("items").where("householdId", "==", householdId);
+
+  return firestoreDb.runTransaction(async (transaction) => {
+    const householdSnap = await transaction.get(ref);
+    if (!householdSnap.exists) return null;
+    const household = householdSnap.data();
+    const itemsSnapshot = await transaction.get(itemsQuery);
+    const memberIds = household.memberIds || [];
+    const usersSnapshot = memberIds.length ?
+      await transaction.get(firestoreDb.collection("users").where("userId", "in", memberIds)) :
+      null;
+
+    const timezone = normalizeTimezone(household.timezone);
+    const graceHours = streakGraceHours.value();
+    const periodKeys = getPeriodKeys();
+    let score = 0;
+    let itemCount = 0;
+    let weekScore = 0;
+    const dayKeys = [];
+    const spaceCounts = {};
+    itemsSnapshot.forEach((itemDoc) => {
+      const data = itemDoc.data();
+      if (!memberIds.includes(data.userId) || !countsTowardStats(data)) return;
+      const { points } = computeItemPoints(data);
+      score += points;
+      itemCount++;
+      if (data.space) spaceCounts[data.space] = (spaceCounts[data.space] || 0) + 1;
+      const created = getItemDate(data);
+      if (!created) return;
+      dayKeys.push(toLocalDayKey(created, timezone, graceHours));
+      if (toWeekStartKey(toDayKey(created)) === periodKeys.week) weekScore += points;
+    });
+
+    const streakStats = computeStreakStats(
+      dayKeys,
+      toLocalDayKey(new Date(), timezone, graceHours),
+      { freezeEvery: streakFreezeEvery.value(), freezeMax: streakFreezeMax.value() }
+    );
+
+    const members = { ...household.members };
+    usersSnapshot?.forEach((userDoc) => {
+      const userData = userDoc.data();
+      if (!members[userData.userId]) return;
+      members[userData.userId] = {
+        ...members[userData.userId],
+        name: userData.name || members[userData.userId].name || "",
+        score: userData.score || 0,
+        streak: userData.streak || 0,
+        itemCount: userData.itemCount || 0,
+      };
+    });
+
+    const stats = {
+      score,
+      itemCount,
+      streak: streakStats.current,
+      longestStreak: Math.max(streakStats.longest, household.longestStreak || 0),
+      weekKey: periodKeys.week,
+      weekScore,
+      spaceCounts,
+      members,
+      statsUpdatedAt: FieldValue.serverTimestamp(),
+    };
+    transaction.update(ref, stats);
+    return stats;
+  });
+}
+
+function householdNotification(userId, type, actorId, actorName, itemId, itemData) {
+  return {
+    userId,
+    type,
+    actorId,
+    actorName: actorName || "",
+    actorPhotoURL: null,
+    itemId,
+    itemName: itemData.name || "",
+    commentId: null,
+    text: "",
+    read: false,
+    createdAt: FieldValue.serverTimestamp(),
+  };
+}
+
+// Ask every parent in the household to look at a kid's pending item
+async function notifyHouseholdParents(householdId, itemId, itemData) {
+  const householdSnap = await householdRef(householdId).get();
+  if (!householdSnap.exists) return;
+  const members = householdSnap.data().members || {};
+  const parentIds = Object.keys(members).filter((id) => members[id].role === "parent");
+  const batch = firestoreDb.batch();
+  parentIds.forEach((parentId) => {
+    batch.set(
+      firestoreDb.collection(NOTIFICATIONS_COLLECTION).doc(),
+      householdNotification(parentId, "approval_request", itemData.userId, members[itemData.userId]?.name, itemId, itemData)
+    );
+  });
+  await batch.commit();
+}
+
+// The caller's household, or an HttpsError. With parentOnly, only parents pass.
+async function getCallerHousehold(request, { parentOnly = false } = {}) {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Sign in required.");
+  }
+  const userId = toAppUserId(request.auth.uid);
+  const userDoc = await findUserDoc(userId);
+  const householdId = userDoc?.data().householdId;
+  const householdSnap = householdId ? await householdRef(householdId).get() : null;
+  const member = householdSnap?.exists ? householdSnap.data().members?.[userId] : null;
+  if (!member) {
+    throw new HttpsError("failed-precondition", "You're not in a household.");
+  }
+  if (parentOnly && member.role !== "parent") {
+    throw new HttpsError("permission-denied", "Only a parent can do that.");
+  }
+  return { userId, userDoc, householdId, household: householdSnap.data() };
+}
+
+// Add the user to a household inside a transaction, so two joins can't both
+// take the last seat or put one person in two households
+async function addHouseholdMember(householdId, userDoc, role) {
+  const ref = householdRef(householdId);
+  const userId = userDoc.data().userId;
+  await firestoreDb.runTransaction(async (transaction) => {
+    const [householdSnap, freshUser] = await Promise.all([transaction.get(ref), transaction.get(userDoc.ref)]);
+    if (freshUser.data().householdId) {
+      throw new HttpsError("failed-precondition", "You're already in a household. Leave it first.");
+    }
+    if (!householdSnap.exists) {
+      throw new HttpsError("not-found", "Household not found.");
+    }
+    if ((householdSnap.data().memberIds || []).length >= HOUSEHOLD_MAX_MEMBERS) {
+      throw new HttpsError("resource-exhausted", `A household can have up to ${HOUSEHOLD_MAX_MEMBERS} members.`);
+    }
+    transaction.update(ref, {
+      memberIds: FieldValue.arrayUnion(userId),
+      [`members.${userId}`]: { name: freshUser.data().name || "", role, joinedAt: FieldValue.serverTimestamp() },
+    });
+    transaction.update(userDoc.ref, { householdId });
+  });
+  await setItemsHousehold(userId, householdId);
+  await recomputeHouseholdStats(householdId);
+}
+
+/**
+ * Take a user out of their household. The last member out deletes it; if the
+ * last parent leaves, the longest-standing member becomes a parent (and the
+ * owner) so someone can still approve and manage the household.
+ */
+async function removeHouseholdMember(householdId, userId) {
+  const ref = householdRef(householdId);
+  const userDoc = await findUserDoc(userId);
+  const remaining = await firestoreDb.runTransaction(async (transaction) => {
+    const householdSnap = await transaction.get(ref);
+    if (!householdSnap.exists || !householdSnap.data().members?.[userId]) return null;
+    const household = householdSnap.data();
+    const members = { ...household.members };
+    delete members[userId];
+    const remainingIds = Object.keys(members);
+
+    if (userDoc) transaction.update(userDoc.ref, { householdId: FieldValue.delete() });
+    if (!remainingIds.length) {
+      transaction.delete(ref);
+      return remainingIds;
+    }
+
+    const update = {
+      memberIds: FieldValue.arrayRemove(userId),
+      [`members.${userId}`]: FieldValue.delete(),
+    };
+    let parentIds = remainingIds.filter((id) => members[id].role === "parent");
+    if (!parentIds.length) {
+      const successor = remainingIds.sort((a, b) =>
+        (toDateValue(members[a].joinedAt)?.getTime() || 0) - (toDateValue(members[b].joinedAt)?.getTime() || 0)
+      )[0];
+      update[`members.${successor}.role`] = "parent";
+      parentIds = [successor];
+    }
+    if (household.ownerId === userId) update.ownerId = parentIds[0];
+    transaction.update(ref, update);
+    return remainingIds;
+  });
+  if (remaining === null) return false;
+
+  await setItemsHousehold(userId, null);
+  // Pending kid items just started counting for them
+  await recomputeUserStats(userId);
+  if (remaining.length) await recomputeHouseholdStats(householdId);
+  return true;
+}
+
+/**
+ * createHousehold — Callable. { name }
+ * Creates a household with the caller as its first parent.
+ */
+exports.createHousehold = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Sign in required.");
+  }
+  const userId = toAppUserId(request.auth.uid);
+  const userDoc = await findUserDoc(userId);
+  if (!userDoc) {
+    throw new HttpsError("not-found", "Profile not found.");
+  }
+  if (userDoc.data().householdId) {
+    throw new HttpsError("failed-precondition", "You're already in a household. Leave it first.");
+  }
+  const name = cleanHouseholdName(request.data?.name);
+
+  const ref = firestoreDb.collection(HOUSEHOLDS_COLLECTION).doc();
+  await ref.set({
+    name,
+    ownerId: userId,
+    inviteCode: await generateInviteCode(),
+    spaces: Object.keys(SPACES),
+    timezone: normalizeTimezone((await getUserPrivate(userId)).timezone),
+    memberIds: [],
+    members: {},
+    score: 0,
+    itemCount: 0,
+    streak: 0,
+    longestStreak: 0,
+    createdAt: FieldValue.serverTimestamp(),
+  });
+  try {
+    await addHouseholdMember(ref.id, userDoc, "parent");
+  } catch (error) {
+    await ref.delete();
+    throw error;
+  }
+  return { householdId: ref.id };
+});
+
+/**
+ * joinHousehold — Callable. { code }
+ * Joins the household with that invite code as a member; a parent can
+ * change the role afterwards.
+ */
+exports.joinHousehold = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Sign in required.");
+  }
+  const code = typeof request.data?.code === "string" ? request.data.code.replace(/[\s-]/g, "").toUpperCase() : "";
+  if (code.length !== HOUSEHOLD_INVITE_LENGTH) {
+    throw new HttpsError("invalid-argument", "Enter the 6-character invite code.");
+  }
+  const userDoc = await findUserDoc(toAppUserId(request.auth.uid));
+  if (!userDoc) {
+    throw new HttpsError("not-found", "Profile not found.");
+  }
+  const match = await firestoreDb
+    .collection(HOUSEHOLDS_COLLECTION)
+    .where("inviteCode", "==", code)
+    .limit(1)
+    .get();
+  if (match.empty) {
+    throw new HttpsError("not-found", "That invite code doesn't match a household.");
+  }
+
+  await addHouseholdMember(match.docs[0].id, userDoc, "member");
+  return { householdId: match.docs[0].id, name: match.docs[0].data().name };
+});
+
+/**
+ * leaveHousehold — Callable. { userId? }
+ * Leaves the caller's household, or with another member's userId (parents
+ * only) removes that member.
+ */
+exports.leaveHousehold = onCall(async (request) => {
+  const { userId, householdId, household } = await getCallerHousehold(request);
+  const targetId = request.data?.userId;
+  const memberId = typeof targetId === "string" && targetId ? targetId : userId;
+  if (memberId !== userId && household.members[userId].role !== "parent") {
+    throw new HttpsError("permission-denied", "Only a parent can do that.");
+  }
+  if (!household.members[memberId]) {
+    throw new HttpsError("not-found", "That person isn't in your household.");
+  }
+
+  await removeHouseholdMember(householdId, memberId);
+  return { left: true };
+});
+
+/**
+ * updateHouseholdMember — Callable (parents only). { userId, role }
+ * Sets a member's role to parent, member or kid. The last parent can't be
+ * demoted — make someone else a parent first.
+ */
+exports.updateHouseholdMember = onCall(async (request) => {
+  const { userId, householdId } = await getCallerHousehold(request, { parentOnly: true });
+  const { userId: memberId, role } = request.data || {};
+  if (!HOUSEHOLD_ROLES.includes(role)) {
+    throw new HttpsError("invalid-argument", `role must be one of ${HOUSEHOLD_ROLES.join(", ")}.`);
+  }
+
+  // Re-checked inside the transaction so two parents demoting each other
+  // at once can't leave the household with none
+  const ref = householdRef(householdId);
+  await firestoreDb.runTransaction(async (transaction) => {
+    const householdSnap = await transaction.get(ref);
+    const members = (householdSnap.exists && householdSnap.data().members) || {};
+    if (members[userId]?.role !== "parent") {
+      throw new HttpsError("permission-denied", "Only a parent can do that.");
+    }
+    if (typeof memberId !== "string" || !members[memberId]) {
+      throw new HttpsError("not-found", "That person isn't in your household.");
+    }
+    const parentCount = Object.values(members).filter((member) => member.role === "parent").length;
+    if (members[memberId].role === "parent" && role !== "parent" && parentCount === 1) {
+      throw new HttpsError("failed-precondition", "A household needs at least one parent.");
+    }
+    transaction.update(ref, { [`members.${memberId}.role`]: role });
+  });
+  return { userId: memberId, role };
+});
+
+/**
+ * updateHousehold — Callable (parents only). { name?, spaces?, rotateInvite? }
+ * Renames the household, sets which spaces it shares, or replaces the invite
+ * code so old links stop working.
+ */
+exports.updateHousehold = onCall(async (request) => {
+  const { householdId } = await getCallerHousehold(request, { parentOnly: true });
+  const update = {};
+  if (request.data?.name !== undefined) update.name = cleanHouseholdName(request.data.name);
+  if (request.data?.spaces !== undefined) {
+    const spaces = Array.isArray(request.data.spaces) ?
+      [...new Set(request.data.spaces.filter((space) => Object.hasOwn(SPACES, space)))] :
+      [];
+    if (!spaces.length) {
+      throw new HttpsError("invalid-argument", "Pick at least one space.");
+    }
+    update.spaces = spaces;
+  }
+  if (request.data?.rotateInvite === true) update.inviteCode = await generateInviteCode();
+  if (!Object.keys(update).length) {
+    throw new HttpsError("invalid-argument", "Nothing to update.");
+  }
+
+  await householdRef(householdId).update(update);
+  return update;
+});
+
+/**
+ * reviewHouseholdItem — Callable (parents only). { itemId, approve }
+ * Approves or turns down a kid's pending item. Approved items start counting
+ * toward the kid's and the household's score and streak.
+ */
+exports.reviewHouseholdItem = onCall(async (request) => {
+  const { userId, householdId, household } = await getCallerHousehold(request, { parentOnly: true });
+  const itemId = request.data?.itemId;
+  if (typeof itemId !== "string" || !itemId) {
+    throw new HttpsError("invalid-argument", "itemId is required.");
+  }
+  const itemRef = firestoreDb.collection("items").doc(itemId);
+  const itemSnap = await itemRef.get();
+  const itemData = itemSnap.exists ? itemSnap.data() : null;
+  if (!itemData || itemData.householdId !== householdId || itemData.approval !== "pending") {
+    throw new HttpsError("failed-precondition", "That item isn't waiting for approval.");
+  }
+
+  const approval = request.data?.approve === true ? "approved" : "rejected";
+  await itemRef.update({ approval, reviewedBy: userId, reviewedAt: FieldValue.serverTimestamp() });
+  await syncFeedVisible(itemRef);
+  await firestoreDb.collection(NOTIFICATIONS_COLLECTION).add(
+    householdNotification(itemData.userId, "approval_" + approval, userId, household.members[userId]?.name, itemId, itemData)
+  );
+
+  await recomputeUserStats(itemData.userId);
+  await recomputeHouseholdStats(householdId);
+  return { approval };
+});
+
+// --- Comments ---
+// items/{itemId}/comments/{commentId}: { userId, userName, userPhotoURL, text,
+// parentId, isAI, createdAt, editedAt }. Replies are one level deep (parentId
+// is always a top-level comment). Tidy's comment uses the fixed ID "tidy".
+// The item's commentCount and the in-app notifications are kept here so
+// clients never write to the item document to comment.
+
+const COMMENTS_COLLECTION = "comments";
+const TIDY_COMMENT_ID = "tidy";
+const NOTIFICATIONS_COLLECTION = "notifications";
+const NOTIFICATION_SNIPPET_LENGTH = 120;
+
+function toSnippet(text) {
+  const clean = String(text || "").replace(/\s+/g, " ").trim();
+  return clean.length > NOTIFICATION_SNIPPET_LENGTH
+    ? clean.slice(0, NOTIFICATION_SNIPPET_LENGTH - 1) + "…"
+    : clean;
+}
+
+/**
+ * onCommentCreated — Firestore trigger on items/{itemId}/comments/{commentId} create.
+ * Bumps the item's commentCount and notifies the item owner and, for a
+ * reply, the author of the comment being replied to.
+ */
+exports.onCommentCreated = onDocumentCreated("items/{itemId}/comments/{commentId}", async (event) => {
+  const snap = event.data;
+  if (!snap) return;
+  const comment = snap.data();
+  const { itemId, commentId } = event.params;
+  const itemRef = firestoreDb.collection("items").doc(itemId);
+
+  const itemSnap = await itemRef.get();
+  if (!itemSnap.exists) return;
+  await itemRef.update({ commentCount: FieldValue.increment(1) });
+
+  // Tidy's comment arrives seconds after posting — no need to ping for it
+  if (comment.isAI) return;
+
+  // Held comments stay invisible, so nobody gets pinged about them either
+  const status = await moderateNewContent({
+    ref: snap.ref,
+    data: comment,
+    text: comment.text,
+    target: { targetType: "comment", itemId, commentId },
+  });
+  if (status !== "approved") return;
+
+  const item = itemSnap.data();
+  const recipients = new Map();
+  if (item.userId && item.userId !== comment.userId) recipients.set(item.userId, "comment");
+  if (comment.parentId) {
+    const parentSnap = await itemRef.collection(COMMENTS_COLLECTION).doc(comment.parentId).get();
+    const parentAuthor = parentSnap.exists ? parentSnap.data().userId : null;
+    if (parentAuthor && parentAuthor !== comment.userId) recipients.set(parentAuthor, "reply");
+  }
+  if (!recipients.size) return;
+
+  const batch = firestoreDb.batch();
+  recipients.forEach((type, userId) => {
+    batch.set(firestoreDb.collection(NOTIFICATIONS_COLLECTION).doc(), {
+      userId,
+      type,
+      actorId: comment.userId,
+      actorName: comment.userName || "",
+      actorPhotoURL: comment.userPhotoURL || null,
+      itemId,
+      itemName: item.name || "",
+      commentId,
+      text: toSnippet(comment.text),
+      read: false,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+  });
+  await batch.commit();
+});
+
+/**
+ * onCommentDeleted — Firestore trigger on items/{itemId}/comments/{commentId} delete.
+ * Decrements commentCount and removes the comment's replies (each of which
+ * decrements again when its own trigger runs).
+ */
+exports.onCommentDeleted = onDocumentDeleted("items/{itemId}/comments/{commentId}", async (event) => {
+  const { itemId, commentId } = event.params;
+  const itemRef = firestoreDb.collection("items").doc(itemId);
+
+  // The whole item is going away (deleteItemComments) — nothing to count
+  const itemSnap = await itemRef.get();
+  if (!itemSnap.exists) return;
+  await itemRef.update({ commentCount: FieldValue.increment(-1) });
+
+  const replies = await itemRef
+    .collection(COMMENTS_COLLECTION)
+    .where("parentId", "==", commentId)
+    .get();
+  await deleteRefsInBatches(replies.docs.map((d) => d.ref));
+});
+
+/**
+ * deleteItemComments — Firestore trigger on items/{itemId} delete.
+ * Subcollections outlive their parent document, so clear the thread.
+ */
+exports.deleteItemComments = onDocumentDeleted("items/{itemId}", async (event) => {
+  const comments = await firestoreDb
+    .collection("items")
+    .doc(event.params.itemId)
+    .collection(COMMENTS_COLLECTION)
+    .get();
+  await deleteRefsInBatches(comments.docs.map((d) => d.ref));
+});
+
+/**
+ * deleteDispositionDetails — Firestore trigger on items/{itemId} delete.
+ */
+exports.deleteDispositionDetails = onDocumentDeleted("items/{itemId}", async (event) => {
+  await firestoreDb.collection(DISPOSITION_DETAILS_COLLECTION).doc(event.params.itemId).delete();
+});
+
+// --- Moderation ---
+// Items and comments are written with moderation.status "pending" and only
+// shown to others once the pre-check below sets "approved". Clearly
+// inappropriate text is set to "held" and queued as an automatic report;
+// moderators can also set "removed". firestore.rules enforces this: others
+// can only read comments that are "approved" and items with feedVisible set
+// (see syncFeedVisible), so feed queries filter on those fields too.
+// Reports live in reports/{id}:
+// { source: "user" | "auto", targetType, itemId, commentId, targetUserId,
+//   reporterId, reason, note, snapshot, status: "open" | "resolved", ... }
+
+const REPORTS_COLLECTION = "reports";
+const REPORT_REASONS = ["spam", "offensive", "inappropriate_photo", "other"];
+const MODERATION_ACTIONS = ["dismiss", "hide", "ban"];
+
+// Built-in pre-check rules — deliberately narrow so ordinary posts never wait
+const PRECHECK_RULES = [
+  { reason: "profanity", pattern: /\b(?:fuck\w*|motherfuck\w*|cunt\w*|shit(?:head|face)\w*)\b/i },
+  { reason: "link", pattern: /\bhttps?:\/\/|\bwww\.[a-z0-9-]+\.[a-z]{2,}/i },
+  // Emails, and phone numbers in a real shape — international with a +,
+  // (555) 123-4567 / 555-123-4567, or Korean mobiles — not any run of digits
+  {
+    reason: "contact",
+    pattern: new RegExp([
+      /[\w.+-]+@[\w-]+\.[\w.]+/.source,
+      /\+\d{1,3}[\s.-]?\(?\d{1,4}\)?(?:[\s.-]?\d{3,4}){2}\b/.source,
+      /(?:\(\d{3}\)\s?|\b\d{3}[\s.-])\d{3}[\s.-]\d{4}\b/.source,
+      /\b01[016789][\s.-]?\d{3,4}[\s.-]?\d{4}\b/.source,
+    ].join("|")),
+  },
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Returns { reason, match } for text that should be held for review, or null.
+ */
+function precheckText(text) {
+  const value = String(text || "");
+  if (!value.trim()) return null;
+  for (const { reason, pattern } of PRECHECK_RULES) {
+    const match = value.match(pattern);
+    if (match) return { reason, match: match[0] };
+  }
+  const extraTerms = moderationBlockedTerms.value().map((term) => term.trim()).filter(Boolean);
+  if (extraTerms.length) {
+    const match = value.match(new RegExp(`\\b(?:${extraTerms.map(escapeRegExp).join("|")})\\b`, "i"));
+    if (match) return { reason: "blocked_term", match: match[0] };
+  }
+  return null;
+}
+
+// items.feedVisible is the single flag the public feeds query on and the
+// rules check: approved by moderation, and not waiting on (or turned down by)
+// a parent. Recomputed from the stored doc in a transaction, since the
+// moderation and household triggers update the item independently. Until
+// scoreItemOnCreate has stamped points (and with them the household fields)
+// a kid's item may not have its approval yet, so it stays hidden until then.
+function isFeedVisible(itemData) {
+  return itemData.moderation?.status === "approved" &&
+    typeof itemData.points === "number" &&
+    countsTowardStats(itemData);
+}
+
+async function syncFeedVisible(itemRef) {
+  return firestoreDb.runTransaction(async (transaction) => {
+    const snap = await transaction.get(itemRef);
+    if (!snap.exists) return false;
+    const feedVisible = isFeedVisible(snap.data());
+    if (snap.data().feedVisible !== feedVisible) transaction.update(itemRef, { feedVisible });
+    return feedVisible;
+  });
+}
+
+async function isFeedBanned(userId) {
+  return !!(await getUserPrivate(userId)).feedBanned;
+}
+
+/**
+ * Run the pre-check on a freshly written item or comment and record the
+ * outcome on it. Returns the status it was given.
+ */
+async function moderateNewContent({ ref, data, text, target }) {
+  const setStatus = async (moderation) => {
+    await ref.update({ moderation: { ...moderation, checkedAt: FieldValue.serverTimestamp() } });
+    if (target.targetType === "item") await syncFeedVisible(ref);
+  };
+
+  if (await isFeedBanned(data.userId)) {
+    await setStatus({ status: "removed", reason: "banned" });
+    return "removed";
+  }
+
+  const flag = precheckText(text);
+  if (!flag) {
+    await setStatus({ status: "approved" });
+    return "approved";
+  }
+
+  await setStatus({ status: "held", reason: flag.reason });
+  await firestoreDb.collection(REPORTS_COLLECTION).add({
+    source: "auto",
+    ...target,
+    commentId: target.commentId || null,
+    targetUserId: data.userId,
+    reporterId: null,
+    reason: flag.reason,
+    note: `Matched "${flag.match}"`,
+    snapshot: { text: String(text || "").slice(0, 1000), image: data.image || null },
+    status: "open",
+    createdAt: FieldValue.serverTimestamp(),
+  });
+  console.log("[Moderation] Held", target.targetType, target.commentId || target.itemId, "for", flag.reason);
+  return "held";
+}
+
+/**
+ * moderateNewItem — Firestore trigger on items/{itemId} create.
+ * Pre-checks the item's name and note before it shows up in the public feed.
+ */
+exports.moderateNewItem = onDocumentCreated("items/{itemId}", async (event) => {
+  const snap = event.data;
+  if (!snap) return;
+  const itemData = snap.data();
+  if (!itemData.userId) return;
+
+  await moderateNewContent({
+    ref: snap.ref,
+    data: itemData,
+    text: [itemData.name, itemData.note].filter(Boolean).join("\n"),
+    target: { targetType: "item", itemId: event.params.itemId },
+  });
+});
+
+/**
+ * moderateEditedComment — Firestore trigger on comment update.
+ * Edits go through the same pre-check, so approved text can't be swapped out.
+ */
+exports.moderateEditedComment = onDocumentUpdated("items/{itemId}/comments/{commentId}", async (event) => {
+  const before = event.data.before.data();
+  const after = event.data.after.data();
+  if (after.isAI || before.text === after.text) return;
+  if (after.moderation?.status === "removed") return;
+
+  await moderateNewContent({
+    ref: event.data.after.ref,
+    data: after,
+    text: after.text,
+    target: { targetType: "comment", itemId: event.params.itemId, commentId: event.params.commentId },
+  });
+});
+
+function getTargetRef(itemId, commentId) {
+  const itemRef = firestoreDb.collection("items").doc(itemId);
+  return commentId ? itemRef.collection(COMMENTS_COLLECTION).doc(commentId) : itemRef;
+}
+
+/**
+ * reportContent — Callable. { itemId, commentId?, reason, note? }
+ * One report per reporter per target; reporting again updates the reason.
+ */
+exports.reportContent = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Sign in required.");
+  }
+  const { itemId, commentId = null, reason, note = "" } = request.data || {};
+  if (typeof itemId !== "string" || !itemId || (commentId !== null && typeof commentId !== "string")) {
+    throw new HttpsError("invalid-argument", "itemId is required.");
+  }
+  if (!REPORT_REASONS.includes(reason)) {
+    throw new HttpsError("invalid-argument", "Unknown report reason.");
+  }
+
+  const targetSnap = await getTargetRef(itemId, commentId).get();
+  if (!targetSnap.exists) {
+    throw new HttpsError("not-found", "That post no longer exists.");
+  }
+  const target = targetSnap.data();
+  const reporterId = toAppUserId(request.auth.uid);
+  if (target.userId === reporterId) {
+    throw new HttpsError("invalid-argument", "You can't report your own post.");
+  }
+
+  const reportId = [reporterId, itemId, commentId || "item"].join("_");
+  await firestoreDb.collection(REPORTS_COLLECTION).doc(reportId).set({
+    source: "user",
+    targetType: commentId ? "comment" : "item",
+    itemId,
+    commentId,
+    targetUserId: target.userId || null,
+    reporterId,
+    reason,
+    note: String(note).slice(0, 500),
+    snapshot: {
+      text: String(commentId ? target.text : [target.name, target.note].filter(Boolean).join("\n")).slice(0, 1000),
+      image: commentId ? null : target.image || null,
+    },
+    status: "open",
+    createdAt: FieldValue.serverTimestamp(),
+  });
+  return { reported: true };
+});
+
+/**
+ * getModerationQueue — Callable (admin only).
+ * Open reports grouped by target, newest first, with the target's current state.
+ */
+exports.getModerationQueue = onCall(async (request) => {
+  if (request.auth?.token?.admin !== true) {
+    throw new HttpsError("permission-denied", "Admin only.");
+  }
+
+  // No orderBy, so the query needs no composite index — sorted below
+  const reportsSnapshot = await firestoreDb
+    .collection(REPORTS_COLLECTION)
+    .where("status", "==", "open")
+    .limit(500)
+    .get();
+
+  const groups = new Map();
+  reportsSnapshot.docs.forEach((d) => {
+    const report = d.data();
+    const key = `${report.itemId}/${report.commentId || ""}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        reportId: d.id,
+        targetType: report.targetType,
+        itemId: report.itemId,
+        commentId: report.commentId || null,
+        targetUserId: report.targetUserId,
+        snapshot: report.snapshot,
+        reasons: [],
+        notes: [],
+        reportCount: 0,
+        auto: false,
+        latestAt: 0,
+      });
+    }
+    const group = groups.get(key);
+    const createdAt = toDateValue(report.createdAt)?.getTime() || 0;
+    group.reportCount++;
+    if (!group.reasons.includes(report.reason)) group.reasons.push(report.reason);
+    if (report.note) group.notes.push(report.note);
+    if (report.source === "auto") group.auto = true;
+    if (createdAt > group.latestAt) group.latestAt = createdAt;
+  });
+
+  const entries = [...groups.values()].sort((a, b) => b.latestAt - a.latestAt).slice(0, 50);
+  const targets = entries.length
+    ? await firestoreDb.getAll(...entries.map((entry) => getTargetRef(entry.itemId, entry.commentId)))
+    : [];
+  entries.forEach((entry, index) => {
+    const target = targets[index].exists ? targets[index].data() : null;
+    entry.exists = !!target;
+    entry.authorName = target?.userName || "";
+    entry.status = target?.moderation?.status || null;
+    entry.latestAt = new Date(entry.latestAt).toISOString();
+  });
+
+  return { entries };
+});
+
+// Close every open report on the same target
+async function resolveReportsForTarget(itemId, commentId, action, moderatorId) {
+  const snapshot = await firestoreDb
+    .collection(REPORTS_COLLECTION)
+    .where("itemId", "==", itemId)
+    .where("status", "==", "open")
+    .get();
+  const refs = snapshot.docs
+    .filter((d) => (d.data().commentId || null) === commentId)
+    .map((d) => d.ref);
+  for (let i = 0; i < refs.length; i += 400) {
+    const batch = firestoreDb.batch();
+    refs.slice(i, i + 400).forEach((ref) => batch.update(ref, {
+      status: "resolved",
+      action,
+      resolvedBy: moderatorId,
+      resolvedAt: FieldValue.serverTimestamp(),
+    }));
+    await batch.commit();
+  }
+  return refs.length;
+}
+
+// Remove every item and comment by a banned user from public view
+async function removeUserContent(userId) {
+  const [items, comments] = await Promise.all([
+    getUserOwnedDocs("items", userId),
+    firestoreDb.collectionGroup(COMMENTS_COLLECTION).where("userId", "==", userId).get().then((s) => s.docs),
+  ]);
+  const docs = [...items, ...comments];
+  for (let i = 0; i < docs.length; i += 400) {
+    const batch = firestoreDb.batch();
+    docs.slice(i, i + 400).forEach((d) => batch.update(d.ref, {
+      moderation: { status: "removed", reason: "banned", checkedAt: FieldValue.serverTimestamp() },
+      // Comments have no feedVisible — they're read by moderation.status
+      ...(d.ref.parent.id === "items" ? { feedVisible: false } : {}),
+    }));
+    await batch.commit();
+  }
+  return docs.length;
+}
+
+/**
+ * moderateReport — Callable (admin only). { reportId, action }
+ * dismiss: nothing wrong — closes the reports and approves held content.
+ * hide: removes the item/comment from public view.
+ * ban: bans the author from the feed and removes all their posts.
+ */
+exports.moderateReport = onCall({ timeoutSeconds: 300 }, async (request) => {
+  if (request.auth?.token?.admin !== true) {
+    throw new HttpsError("permission-denied", "Admin only.");
+  }
+  const { reportId, action } = request.data || {};
+  if (typeof reportId !== "string" || !MODERATION_ACTIONS.includes(action)) {
+    throw new HttpsError("invalid-argument", "reportId and a valid action are required.");
+  }
+  const reportSnap = await firestoreDb.collection(REPORTS_COLLECTION).doc(reportId).get();
+  if (!reportSnap.exists) {
+    throw new HttpsError("not-found", "Report not found.");
+  }
+  const report = reportSnap.data();
+  const commentId = report.commentId || null;
+  const moderatorId = toAppUserId(request.auth.uid);
+  const targetRef = getTargetRef(report.itemId, commentId);
+  const targetSnap = await targetRef.get();
+  const result = { action };
+
+  if (targetSnap.exists) {
+    if (action === "dismiss" && targetSnap.data().moderation?.status === "held") {
+      await targetRef.update({ "moderation.status": "approved", "moderation.reviewedBy": moderatorId });
+    } else if (action === "hide") {
+      await targetRef.update({ "moderation.status": "removed", "moderation.reviewedBy": moderatorId });
+    }
+    if (!commentId) await syncFeedVisible(targetRef);
+  }
+
+  if (action === "ban" && report.targetUserId) {
+    if (await findUserDoc(report.targetUserId)) {
+      await userPrivateRef(report.targetUserId).set(
+        { feedBanned: true, feedBannedAt: FieldValue.serverTimestamp(), feedBannedBy: moderatorId },
+        { merge: true }
+      );
+    }
+    result.removedPosts = await removeUserContent(report.targetUserId);
+  }
+
+  result.resolvedReports = await resolveReportsForTarget(report.itemId, commentId, action, moderatorId);
+  console.log("[Moderation]", moderatorId, action, report.itemId, commentId || "", result);
+  return result;
+});
+
+/**
+ * backfillModeration — Callable one-off repair job (admin only).
+ * Items and comments from before moderation have no status, and items from
+ * before feedVisible don't carry it, so the rules hide them from everyone
+ * but their owner. Runs the pre-check on unchecked posts (Tidy's comments are
+ * approved as they are) and sets feedVisible on every item.
+ */
+exports.backfillModeration = onCall(
+  { timeoutSeconds: 540, memory: "512MiB" },
+  async (request) => {
+    if (request.auth?.token?.admin !== true) {
+      throw new HttpsError("permission-denied", "Admin only.");
+    }
+
+    const result = { items: 0, comments: 0, checked: 0 };
+    const itemsSnapshot = await firestoreDb.collection("items").get();
+    for (const itemDoc of itemsSnapshot.docs) {
+      const itemData = itemDoc.data();
+      // isFeedVisible waits for scored items; very old ones never were
+      if (typeof itemData.points !== "number") await itemDoc.ref.update(computeItemPoints(itemData));
+      if (!itemData.moderation?.status && itemData.userId) {
+        await moderateNewContent({
+          ref: itemDoc.ref,
+          data: itemData,
+          text: [itemData.name, itemData.note].filter(Boolean).join("\n"),
+          target: { targetType: "item", itemId: itemDoc.id },
+        });
+        result.checked++;
+      } else {
+        await syncFeedVisible(itemDoc.ref);
+      }
+      result.items++;
+
+      const commentsSnapshot = await itemDoc.ref.collection(COMMENTS_COLLECTION).get();
+      for (const commentDoc of commentsSnapshot.docs) {
+        const comment = commentDoc.data();
+        result.comments++;
+        if (comment.moderation?.status) continue;
+        if (comment.isAI) {
+          await commentDoc.ref.update({ moderation: { status: "approved", checkedAt: FieldValue.serverTimestamp() } });
+          continue;
+        }
+        await moderateNewContent({
+          ref: commentDoc.ref,
+          data: comment,
+          text: comment.text,
+          target: { targetType: "comment", itemId: itemDoc.id, commentId: commentDoc.id },
+        });
+        result.checked++;
+      }
+    }
+
+    console.log("[Moderation] Backfill finished:", result);
+    return result;
+  }
+);
+
+// --- Image pipeline ---
+// The browser only compresses large photos, so uploads can still carry EXIF
+// (including the GPS position of someone's home), and so can the room photos
+// analyzeSpace saves under coach/. When a feed, profile or Coach photo lands in
+// Storage it is re-encoded in place without metadata — keeping its
+// download token, so URLs already saved on docs keep working — and WebP
+// variants are written next to it under variants/. The variant URLs are kept
+// in image_variants/{sha1 of path} and copied onto the item or user doc that
+// uses the photo, whichever of the upload and the doc write happens last.
+
+const IMAGE_VARIANTS_COLLECTION = "image_variants";
+const IMAGE_VARIANT_WIDTHS = { thumb: 240, medium: 960 };
+const ITEM_PHOTO_FIELDS = ["image", "beforePhotoURL", "afterPhotoURL"];
+// Only direct children of a user's folder — never variants/ or other prefixes
+const UPLOADED_PHOTO_PATH = /^(items|profilePhotos|coach)\/([^/]+)\/([^/]+)$/;
+// Set on our own re-upload of the original so it isn't processed twice
+const PROCESSED_METADATA_KEY = "metadataStripped";
+// Formats that can carry EXIF/XMP and that sharp can write back as-is
+const STRIPPABLE_FORMATS = ["jpeg", "png", "webp"];
+
+function toDownloadURL(bucketName, path, token) {
+  return `https://firebasestorage.googleapis.com/v0/b/${bucketName}/o/${encodeURIComponent(path)}?alt=media&token=${token}`;
+}
+
+function imageVariantsRef(path) {
+  return firestoreDb.collection(IMAGE_VARIANTS_COLLECTION).doc(crypto.createHash("sha1").update(path).digest("hex"));
+}
+
+/**
+ * Re-encode an image without EXIF/XMP/ICC metadata. Orientation is applied to
+ * the pixels first so the photo still displays the right way up.
+ * Returns null for formats that are left untouched.
+ */
+async function stripImageMetadata(buffer) {
+  const { format } = await sharp(buffer).metadata();
+  if (!STRIPPABLE_FORMATS.includes(format)) return null;
+  const image = sharp(buffer).rotate();
+  const data = format === "jpeg" ?
+    await image.jpeg({ quality: 90, mozjpeg: true }).toBuffer() :
+    await image.toFormat(format).toBuffer();
+  return { data, contentType: `image/${format}` };
+}
+
+/**
+ * Write a WebP copy of the image at each IMAGE_VARIANT_WIDTHS size.
+ * Returns { thumb: { url, width }, medium: { url, width } }.
+ */
+async function writeImageVariants(bucket, path, buffer) {
+  const slash = path.lastIndexOf("/");
+  const baseName = path.slice(slash + 1).replace(/\.[^.]+$/, "");
+  const variants = {};
+  for (const [size, width] of Object.entries(IMAGE_VARIANT_WIDTHS)) {
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize({ width, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+    const variantPath = `${path.slice(0, slash)}/variants/${baseName}_${size}.webp`;
+    const token = crypto.randomUUID();
+    await bucket.file(variantPath).save(data, {
+      contentType: "image/webp",
+      metadata: {
+        cacheControl: "public,max-age=31536000",
+        metadata: { firebaseStorageDownloadTokens: token },
+      },
+    });
+    variants[size] = { url: toDownloadURL(bucket.name, variantPath, token), width: info.width };
+  }
+  return variants;
+}
+
+/**
+ * Copy variants onto every item that uses the photo at `url` in any photo field.
+ */
+async function applyVariantsToItems(url, variants) {
+  let updated = 0;
+  for (const field of ITEM_PHOTO_FIELDS) {
+    const snapshot = await firestoreDb.collection("items").where(field, "==", url).get();
+    for (const itemDoc of snapshot.docs) {
+      await itemDoc.ref.update({ [`imageVariants.${field}`]: variants });
+      updated++;
+    }
+  }
+  return updated;
+}
+
+/**
+ * processUploadedPhoto — Storage trigger on every finalized upload.
+ * Strips metadata from item, profile and Coach photos and generates WebP variants.
+ */
+exports.processUploadedPhoto = onObjectFinalized(
+  { memory: "1GiB", timeoutSeconds: 120 },
+  async (event) => {
+    const object = event.data;
+    const match = (object.name || "").match(UPLOADED_PHOTO_PATH);
+    if (!match || !(object.contentType || "").startsWith("image/")) return;
+    const customMetadata = object.metadata || {};
+    if (customMetadata[PROCESSED_METADATA_KEY]) return;
+
+    const [, folder, userId] = match;
+    const bucket = getStorage().bucket(object.bucket);
+    const file = bucket.file(object.name);
+    const [original] = await file.download();
+
+    let tokens = customMetadata.firebaseStorageDownloadTokens;
+    if (!tokens) tokens = crypto.randomUUID();
+    const url = toDownloadURL(bucket.name, object.name, tokens.split(",")[0]);
+
+    let variants;
+    try {
+      const stripped = await stripImageMetadata(original);
+      if (stripped) {
+        await file.save(stripped.data, {
+          contentType: stripped.contentType,
+          metadata: {
+            cacheControl: object.cacheControl,
+            metadata: { ...customMetadata, firebaseStorageDownloadTokens: tokens, [PROCESSED_METADATA_KEY]: "true" },
+          },
+        });
+      }
+      variants = await writeImageVariants(bucket, object.name, stripped ? stripped.data : original);
+    } catch (error) {
+      // Unreadable image — leave it as uploaded; the client shows the original
+      console.error("[Images] Processing failed for", object.name, error);
+      return;
+    }
+
+    await imageVariantsRef(object.name).set({
+      path: object.name,
+      userId,
+      url,
+      variants,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+
+    if (folder === "profilePhotos") {
+      const userDoc = await findUserDoc(userId);
+      if (userDoc) await userDoc.ref.update({ photoVariants: variants });
+      console.log("[Images] Processed profile photo for", userId);
+      return;
+    }
+
+    const updated = await applyVariantsToItems(url, variants);
+    console.log("[Images] Processed", object.name, "— updated", updated, "item(s)");
+  }
+);
+
+/**
+ * attachImageVariants — Firestore trigger on items/{itemId} create.
+ * Picks up variants for photos that finished processing before the item was saved.
+ */
+exports.attachImageVariants = onDocumentCreated("items/{itemId}", async (event) => {
+  const snap = event.data;
+  if (!snap) return;
+  const itemData = snap.data();
+
+  const updates = {};
+  for (const field of ITEM_PHOTO_FIELDS) {
+    if (!itemData[field]) continue;
+    const variantsSnapshot = await firestoreDb.collection(IMAGE_VARIANTS_COLLECTION)
+      .where("url", "==", itemData[field])
+      .limit(1)
+      .get();
+    if (!variantsSnapshot.empty) {
+      updates[`imageVariants.${field}`] = variantsSnapshot.docs[0].data().variants;
+    }
+  }
+  if (Object.keys(updates).length) await snap.ref.update(updates);
+});
@@ -0,0 +1,446 @@
+// LLM and image-generation providers behind one small interface, so every AI
+// feature gets its model, timeout and retry policy from config instead of its
+// own raw fetch — and so the emulator can run with a deterministic fake.
+//
+//   const ai = createProviders({ provider: "anthropic", anthropicApiKey, openaiApiKey });
+//   const { text, usage } = await ai.complete("tidyComment", { system, messages, maxTokens });
+//   const { imageBase64, usage } = await ai.editImage("coachAfterImage", { imageBase64, mediaType, prompt });
+//   const { text, usage } = await ai.stream("askTidy", { system, messages, maxTokens, onText });
+//
+// `usage` is { feature, provider, model, inputTokens, outputTokens, latencyMs,
+// attempts } and is also handed to the optional onUsage callback.
+
+const crypto = require("crypto");
+const sharp = require("sharp");
+
+// Model per feature — override with AI_MODEL_OVERRIDES ("feature=model" entries)
+const DEFAULT_MODELS = {
+  encouragement: "claude-haiku-4-5-20251001",
+  tidyComment: "claude-haiku-4-5-20251001",
+  weeklyRecap: "claude-haiku-4-5-20251001",
+  coachAnalysis: "claude-haiku-4-5-20251001",
+  coachAfterImage: "gpt-image-1",
+  askTidy: "claude-haiku-4-5-20251001",
+  itemSuggest: "claude-haiku-4-5-20251001",
+  listing: "claude-haiku-4-5-20251001",
+};
+
+// Per-attempt timeouts. Retries come on top, so timeout × (retries + 1) plus
+// backoff has to fit in the calling function's own timeoutSeconds.
+const DEFAULT_TIMEOUTS_MS = {
+  encouragement: 10000,
+  tidyComment: 10000,
+  weeklyRecap: 15000,
+  coachAnalysis: 30000,
+  coachAfterImage: 90000,
+  askTidy: 60000,
+  itemSuggest: 15000,
+  listing: 20000,
+};
+
+// Image edits are slow and billed per call, so they aren't retried. Streams
+// are only retried until their first text has gone out (see stream below).
+const DEFAULT_MAX_RETRIES = { coachAnalysis: 1, coachAfterImage: 0, askTidy: 1 };
+const FALLBACK_MAX_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+const ANTHROPIC_VERSION = "2023-06-01";
+
+class ProviderError extends Error {
+  constructor(message, { status = null, retryable = false } = {}) {
+    super(message);
+    this.name = "ProviderError";
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+// 408/409/429 and 5xx are worth another try; other 4xx are our own mistake
+function isRetryableStatus(status) {
+  return status === 408 || status === 409 || status === 429 || status >= 500;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Parse "feature=model" entries (from a defineList param) into an object.
+ */
+function parseModelOverrides(entries) {
+  const overrides = {};
+  for (const entry of entries || []) {
+    const [feature, model] = String(entry).split("=").map((part) => part.trim());
+    if (feature && model) overrides[feature] = model;
+  }
+  return overrides;
+}
+
+/**
+ * fetch with a per-attempt timeout, retrying network errors, timeouts and
+ * retryable statuses with exponential backoff and jitter. Returns the body as
+ * read by `read` (parsed JSON by default) and the number of attempts it took.
+ * The timeout covers reading the body too; a ProviderError thrown by `read`
+ * keeps its own retryable flag.
+ */
+async function fetchWithRetry(url, init, { timeoutMs, maxRetries, label, read = (response) => response.json() }) {
+  let lastError;
+  for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetch(url, { ...init, signal: controller.signal });
+      if (response.ok) {
+        return { body: await read(response), attempts: attempt };
+      }
+      const errorText = await response.text();
+      lastError = new ProviderError(`${label} returned ${response.status}: ${errorText.slice(0, 500)}`, {
+        status: response.status,
+        retryable: isRetryableStatus(response.status),
+      });
+    } catch (error) {
+      lastError = error instanceof ProviderError ? error : error.name === "AbortError" ?
+        new ProviderError(`${label} timed out after ${timeoutMs}ms`, { retryable: true }) :
+        new ProviderError(`${label} request failed: ${error.message}`, { retryable: true });
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    if (!lastError.retryable || attempt > maxRetries) break;
+    const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1) + Math.floor(Math.random() * 250);
+    console.warn(`[AI] ${label} attempt ${attempt} failed (${lastError.message}); retrying in ${delay}ms`);
+    await sleep(delay);
+  }
+  throw lastError;
+}
+
+/**
+ * Read an Anthropic server-sent event stream, handing each text delta to
+ * onText as it arrives. Returns { text, inputTokens, outputTokens }.
+ */
+async function readAnthropicStream(response, onText) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let text = "";
+  let inputTokens = 0;
+  let outputTokens = 0;
+
+  const handleEvent = (rawEvent) => {
+    const data = rawEvent.split("\n")
+      .filter((line) => line.startsWith("data:"))
+      .map((line) => line.slice(5).trim())
+      .join("");
+    if (!data) return;
+    const event = JSON.parse(data);
+    if (event.type === "message_start") {
+      inputTokens = event.message?.usage?.input_tokens || 0;
+    } else if (event.type === "content_block_delta" && event.delta?.type === "text_delta") {
+      text += event.delta.text;
+      onText(event.delta.text);
+    } else if (event.type === "message_delta") {
+      outputTokens = event.usage?.output_tokens || outputTokens;
+    } else if (event.type === "error") {
+      // Once text has reached the caller a retry would repeat it
+      throw new ProviderError(`Anthropic stream error: ${event.error?.message || "unknown"}`, {
+        retryable: !text && event.error?.type === "overloaded_error",
+      });
+    }
+  };
+
+  try {
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      let boundary;
+      while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+        handleEvent(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+      }
+    }
+    if (buffer.trim()) handleEvent(buffer);
+  } catch (error) {
+    if (error instanceof ProviderError) throw error;
+    throw new ProviderError(`Anthropic stream failed: ${error.message}`, { retryable: !text });
+  }
+  if (!text.trim()) throw new ProviderError("Anthropic returned no text");
+  return { text: text.trim(), inputTokens, outputTokens };
+}
+
+// --- Anthropic + OpenAI ---
+
+function createLiveProvider({ anthropicApiKey, openaiApiKey }) {
+  const postMessages = (body, { timeoutMs, maxRetries, read }) => fetchWithRetry(
+    "https://api.anthropic.com/v1/messages",
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-api-key": anthropicApiKey(),
+        "anthropic-version": ANTHROPIC_VERSION,
+      },
+      body: JSON.stringify(body),
+    },
+    { timeoutMs, maxRetries, label: "Anthropic", read }
+  );
+
+  return {
+    name: "anthropic",
+
+    async complete({ model, system, messages, maxTokens, timeoutMs, maxRetries }) {
+      const body = { model, max_tokens: maxTokens, messages };
+      if (system) body.system = system;
+      const { body: result, attempts } = await postMessages(body, { timeoutMs, maxRetries });
+      const text = (result.content || [])
+        .filter((block) => block.type === "text")
+        .map((block) => block.text)
+        .join("")
+        .trim();
+      if (!text) throw new ProviderError("Anthropic returned no text");
+      return {
+        text,
+        attempts,
+        inputTokens: result.usage?.input_tokens || 0,
+        outputTokens: result.usage?.output_tokens || 0,
+      };
+    },
+
+    async stream({ model, system, messages, maxTokens, timeoutMs, maxRetries, onText }) {
+      const body = { model, max_tokens: maxTokens, messages, stream: true };
+      if (system) body.system = system;
+      const { body: result, attempts } = await postMessages(body, {
+        timeoutMs,
+        maxRetries,
+        read: (response) => readAnthropicStream(response, onText),
+      });
+      return { ...result, attempts };
+    },
+
+    async editImage({ model, imageBase64, mediaType, prompt, size, quality, timeoutMs, maxRetries }) {
+      const apiKey = openaiApiKey();
+      if (!apiKey) throw new ProviderError("OPENAI_API_KEY not configured");
+      const extension = mediaType === "image/png" ? "png" : "jpg";
+      const imageBlob = new Blob([Buffer.from(imageBase64, "base64")], { type: mediaType });
+      // FormData bodies can't be reused across attempts, so build one per call
+      const buildForm = () => {
+        const formData = new FormData();
+        formData.append("image", imageBlob, `photo.${extension}`);
+        formData.append("model", model);
+        formData.append("prompt", prompt);
+        formData.append("n", "1");
+        formData.append("size", size);
+        formData.append("quality", quality);
+        return formData;
+      };
+      const { body: result, attempts } = await fetchWithRetry(
+        "https://api.openai.com/v1/images/edits",
+        {
+          method: "POST",
+          headers: { Authorization: `Bearer ${apiKey}` },
+          // Spread into each attempt's init, so every attempt gets a fresh form
+          get body() {
+            return buildForm();
+          },
+        },
+        { timeoutMs, maxRetries, label: "OpenAI image edit" }
+      );
+      // Some models answer with a short-lived URL instead of inline data —
+      // fetch it now so callers can store the image before it expires
+      let output = result.data?.[0]?.b64_json;
+      if (!output && result.data?.[0]?.url) {
+        const download = await fetch(result.data[0].url, { signal: AbortSignal.timeout(timeoutMs) });
+        if (!download.ok) throw new ProviderError(`Generated image download returned ${download.status}`);
+        output = Buffer.from(await download.arrayBuffer()).toString("base64");
+      }
+      if (!output) throw new ProviderError("OpenAI returned no image");
+      return {
+        imageBase64: output,
+        attempts,
+        inputTokens: result.usage?.input_tokens || 0,
+        outputTokens: result.usage?.output_tokens || 0,
+      };
+    },
+  };
+}
+
+// --- Deterministic fake (emulator / tests) ---
+// Same input, same output, no network. Replies are picked by hashing the
+// prompt so different items still get different — but repeatable — text.
+
+const FAKE_REPLIES = {
+  encouragement: ["One less thing, more room to breathe 🌿", "Streak stays alive — nice 🔥", "Space reclaimed ✨"],
+  tidyComment: ["That shelf is breathing again ✨", "Let it go, keep the memory 💛", "Another one out the door 🙌"],
+  weeklyRecap: [
+    "A steady week — every item you let go made the next one easier. 🌱 Next week, pick one drawer and clear it in a single sitting.",
+  ],
+  askTidy: [
+    "That hesitation usually means the item is holding a memory, not a use. 💛 Pick one thing from that pile, take a photo of it, and put it in the donate bag today.",
+    "Try the 90/90 rule here: if you haven't used it in 90 days and won't in the next 90, it can go. 🌿 Start with the shelf you see first when you walk in.",
+  ],
+};
+
+const FAKE_COACH_ANALYSIS = {
+  spaceName: "Living Room",
+  visibleItems: ["sofa with cushions", "coffee table with magazines", "blanket on floor", "empty snack wrapper"],
+  itemArrangements: ["sofa cushions plumped and lined up", "magazines stacked on coffee table corner", "blanket folded over sofa arm"],
+  trashToRemove: ["empty snack wrapper"],
+  misplacedItems: [],
+  itemCount: 4,
+  steps: [
+    { text: "Blanket on floor → fold over sofa arm", minutes: 1 },
+    { text: "Magazines → stack on the table corner", minutes: 1 },
+    { text: "Snack wrapper → throw away", minutes: 1 },
+  ],
+  totalMinutes: 3,
+  mainTip: "Give every surface a 30-second reset before bed.",
+  encouragement: "Three quick moves and this room feels calmer:",
+};
+
+const FAKE_ITEM_SUGGESTIONS = {
+  items: [
+    { name: "Denim jacket", category: "clothing", space: "closet", confidence: 0.86 },
+    { name: "Paperback novels", category: "books", space: "living", confidence: 0.62 },
+  ],
+};
+
+const FAKE_LISTING = {
+  title: "Wooden desk chair — sturdy, light wear",
+  description: "Solid wooden desk chair in good working order. Light scuffs on the legs from normal use. Moving and no longer need it.",
+  condition: "good",
+  priceLow: 25,
+  priceHigh: 40,
+  currency: "USD",
+  tags: ["chair", "desk chair", "wood", "office"],
+};
+
+// Features whose callers expect a JSON reply
+const FAKE_JSON_REPLIES = {
+  coachAnalysis: FAKE_COACH_ANALYSIS,
+  itemSuggest: FAKE_ITEM_SUGGESTIONS,
+  listing: FAKE_LISTING,
+};
+
+function hashIndex(value, length) {
+  const digest = crypto.createHash("sha1").update(JSON.stringify(value)).digest();
+  return digest.readUInt32BE(0) % length;
+}
+
+function estimateTokens(value) {
+  return Math.ceil(JSON.stringify(value || "").length / 4);
+}
+
+function createFakeProvider() {
+  return {
+    name: "fake",
+
+    async complete({ feature, system, messages }) {
+      const replies = FAKE_REPLIES[feature] || [`Fake ${feature} reply`];
+      const text = FAKE_JSON_REPLIES[feature] ?
+        JSON.stringify(FAKE_JSON_REPLIES[feature]) :
+        replies[hashIndex(messages, replies.length)];
+      return {
+        text,
+        attempts: 1,
+        inputTokens: estimateTokens(system) + estimateTokens(messages),
+        outputTokens: estimateTokens(text),
+      };
+    },
+
+    // Same reply as complete, handed out word by word
+    async stream({ feature, system, messages, onText }) {
+      const result = await this.complete({ feature, system, messages });
+      const words = result.text.split(/(?<= )/);
+      for (const word of words) {
+        onText(word);
+        await sleep(20);
+      }
+      return result;
+    },
+
+    // Returns the input photo as a PNG so the "after" image pipeline still runs
+    async editImage({ imageBase64, prompt }) {
+      const png = await sharp(Buffer.from(imageBase64, "base64")).png().toBuffer();
+      return { imageBase64: png.toString("base64"), attempts: 1, inputTokens: estimateTokens(prompt), outputTokens: 0 };
+    },
+  };
+}
+
+/**
+ * Build the provider facade used by the Cloud Functions.
+ * Options:
+ *   provider — "anthropic" (live Anthropic + OpenAI APIs) or "fake"
+ *   anthropicApiKey / openaiApiKey — functions returning the keys at call time
+ *   models — per-feature model overrides
+ *   timeoutsMs / maxRetries — per-feature timeout and retry-count overrides
+ *   onUsage — called with the usage record after every successful call
+ */
+function createProviders({
+  provider = "anthropic",
+  anthropicApiKey = () => "",
+  openaiApiKey = () => "",
+  models = {},
+  timeoutsMs = {},
+  maxRetries = {},
+  onUsage = null,
+} = {}) {
+  const backend = provider === "fake" ?
+    createFakeProvider() :
+    createLiveProvider({ anthropicApiKey, openaiApiKey });
+
+  const settingsFor = (feature) => ({
+    feature,
+    model: models[feature] || DEFAULT_MODELS[feature],
+    timeoutMs: timeoutsMs[feature] || DEFAULT_TIMEOUTS_MS[feature] || 15000,
+    maxRetries: maxRetries[feature] ?? DEFAULT_MAX_RETRIES[feature] ?? FALLBACK_MAX_RETRIES,
+  });
+
+  async function record(feature, model, startedAt, result, userId) {
+    const usage = {
+      feature,
+      provider: backend.name,
+      model,
+      inputTokens: result.inputTokens,
+      outputTokens: result.outputTokens,
+      latencyMs: Date.now() - startedAt,
+      attempts: result.attempts,
+    };
+    if (onUsage) {
+      try {
+        await onUsage({ ...usage, userId: userId || null });
+      } catch (error) {
+        console.error("[AI] Usage capture failed:", error);
+      }
+    }
+    return usage;
+  }
+
+  return {
+    provider: backend.name,
+
+    /** complete — text generation. Returns { text, usage }. */
+    async complete(feature, { system = null, messages, maxTokens, userId = null }) {
+      const settings = settingsFor(feature);
+      const startedAt = Date.now();
+      const result = await backend.complete({ ...settings, system, messages, maxTokens });
+      return { text: result.text, usage: await record(feature, settings.model, startedAt, result, userId) };
+    },
+
+    /**
+     * stream — text generation delivered piece by piece to onText(chunk).
+     * Returns { text, usage } once the reply is complete.
+     */
+    async stream(feature, { system = null, messages, maxTokens, userId = null, onText }) {
+      const settings = settingsFor(feature);
+      const startedAt = Date.now();
+      const result = await backend.stream({ ...settings, system, messages, maxTokens, onText });
+      return { text: result.text, usage: await record(feature, settings.model, startedAt, result, userId) };
+    },
+
+    /** editImage — image-to-image edit. Returns { imageBase64, usage }. */
+    async editImage(feature, { imageBase64, mediaType, prompt, size = "1024x1024", quality = "medium", userId = null }) {
+      const settings = settingsFor(feature);
+      const startedAt = Date.now();
+      const result = await backend.editImage({ ...settings, imageBase64, mediaType, prompt, size, quality });
+      return { imageBase64: result.imageBase64, usage: await record(feature, settings.model, startedAt, result, userId) };
+    },
+  };
+}
+
+module.exports = { createProviders, parseModelOverrides, ProviderError, DEFAULT_MODELS };
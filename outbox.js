@@ -0,0 +1,237 @@
+// Offline capture outbox — shared by index.html and sw.js (via importScripts).
+// Items logged without a connection are kept in IndexedDB together with their
+// compressed photo blobs, then replayed through the Storage and Firestore REST
+// APIs once the network is back. The page keeps a fresh ID token in the meta
+// store so the service worker can replay even after the tab is closed.
+(function (global) {
+  const DB_NAME = 'declutter-outbox';
+  const DB_VERSION = 1;
+  const ITEMS_STORE = 'items';
+  const META_STORE = 'meta';
+  const SYNC_TAG = 'outbox-sync';
+
+  // A replay that started this long ago is assumed dead and can be retried
+  const CLAIM_TTL_MS = 2 * 60 * 1000;
+
+  let dbPromise = null;
+
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(ITEMS_STORE)) {
+            db.createObjectStore(ITEMS_STORE, { keyPath: 'id' }).createIndex('userId', 'userId');
+          }
+          if (!db.objectStoreNames.contains(META_STORE)) {
+            db.createObjectStore(META_STORE);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return dbPromise;
+  }
+
+  // Run `fn(store)` in a transaction and resolve with the value it returns
+  // (or the result of the IDBRequest it returns) once the transaction commits.
+  async function withStore(storeName, mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      let result;
+      Promise.resolve(fn(tx.objectStore(storeName), tx)).then((value) => {
+        if (value instanceof IDBRequest) {
+          value.onsuccess = () => { result = value.result; };
+        } else {
+          result = value;
+        }
+      }, reject);
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function enqueue(entry) {
+    return withStore(ITEMS_STORE, 'readwrite', (store) =>
+      store.put({ ...entry, claimedAt: null, lastError: null, uploaded: {} })
+    );
+  }
+
+  async function list(userId) {
+    const entries = await withStore(ITEMS_STORE, 'readonly', (store) =>
+      userId ? store.index('userId').getAll(userId) : store.getAll()
+    );
+    return (entries || []).sort((a, b) => b.capturedAt - a.capturedAt);
+  }
+
+  function remove(id) {
+    return withStore(ITEMS_STORE, 'readwrite', (store) => store.delete(id));
+  }
+
+  function saveAuth(auth) {
+    return withStore(META_STORE, 'readwrite', (store) => store.put(auth, 'auth'));
+  }
+
+  function clearAuth() {
+    return withStore(META_STORE, 'readwrite', (store) => store.delete('auth'));
+  }
+
+  function getAuth() {
+    return withStore(META_STORE, 'readonly', (store) => store.get('auth'));
+  }
+
+  // Mark an entry as being replayed so the page and the service worker never
+  // send the same item twice. Returns the entry, or null if someone else has it.
+  function claim(id) {
+    return withStore(ITEMS_STORE, 'readwrite', (store) => new Promise((resolve) => {
+      const request = store.get(id);
+      request.onsuccess = () => {
+        const entry = request.result;
+        if (!entry || (entry.claimedAt && Date.now() - entry.claimedAt < CLAIM_TTL_MS)) {
+          resolve(null);
+          return;
+        }
+        entry.claimedAt = Date.now();
+        store.put(entry);
+        resolve(entry);
+      };
+    }));
+  }
+
+  function release(entry, error) {
+    return withStore(ITEMS_STORE, 'readwrite', (store) =>
+      store.put({ ...entry, claimedAt: null, lastError: error ? error.message : null })
+    );
+  }
+
+  // --- REST replay ---
+
+  const PHOTO_EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif', 'image/webp': 'webp' };
+
+  async function uploadPhoto(auth, path, blob) {
+    const bucket = auth.storageBucket;
+    const response = await fetch(
+      `https://firebasestorage.googleapis.com/v0/b/${bucket}/o?name=${encodeURIComponent(path)}`,
+      {
+        method: 'POST',
+        headers: {
+          'Authorization': 'Firebase ' + auth.idToken,
+          'Content-Type': blob.type || 'image/jpeg'
+        },
+        body: blob
+      }
+    );
+    if (!response.ok) throw new Error('Photo upload failed: ' + response.status);
+    const metadata = await response.json();
+    const token = (metadata.downloadTokens || '').split(',')[0];
+    return `https://firebasestorage.googleapis.com/v0/b/${bucket}/o/${encodeURIComponent(path)}?alt=media&token=${token}`;
+  }
+
+  function toFirestoreValue(value) {
+    if (value === null || value === undefined) return { nullValue: null };
+    if (value instanceof Date) return { timestampValue: value.toISOString() };
+    if (Array.isArray(value)) return { arrayValue: { values: value.map(toFirestoreValue) } };
+    if (typeof value === 'boolean') return { booleanValue: value };
+    if (typeof value === 'number') {
+      return Number.isInteger(value) ? { integerValue: String(value) } : { doubleValue: value };
+    }
+    if (typeof value === 'object') {
+      const fields = {};
+      Object.entries(value).forEach(([key, v]) => { fields[key] = toFirestoreValue(v); });
+      return { mapValue: { fields } };
+    }
+    return { stringValue: String(value) };
+  }
+
+  // Create items/{id} with a server createdAt and the capture time alongside
+  // it as capturedAt; the server decides whether the streak may count the
+  // capture day. The owner-only dispositionDetails/{id} goes in the same
+  // commit. Succeeds quietly if a previous replay already created it.
+  async function createItemDoc(auth, id, data, details) {
+    const database = `projects/${auth.projectId}/databases/(default)`;
+    const response = await fetch(
+      `https://firestore.googleapis.com/v1/${database}/documents:commit`,
+      {
+        method: 'POST',
+        headers: {
+          'Authorization': 'Bearer ' + auth.idToken,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          writes: [{
+            update: { name: `${database}/documents/items/${id}`, fields: toFirestoreValue(data).mapValue.fields },
+            updateTransforms: [{ fieldPath: 'createdAt', setToServerValue: 'REQUEST_TIME' }],
+            currentDocument: { exists: false }
+          }, ...(details ? [{
+            update: { name: `${database}/documents/dispositionDetails/${id}`, fields: toFirestoreValue(details).mapValue.fields }
+          }] : [])]
+        })
+      }
+    );
+    if (response.ok) return;
+    const body = await response.json().catch(() => ({}));
+    if (body.error && (body.error.status === 'ALREADY_EXISTS' || body.error.status === 'FAILED_PRECONDITION')) return;
+    throw new Error('Item write failed: ' + response.status);
+  }
+
+  async function replayEntry(auth, entry) {
+    for (const [field, blob] of Object.entries(entry.photos || {})) {
+      if (entry.uploaded[field]) continue;
+      const extension = PHOTO_EXTENSIONS[blob.type] || 'jpg';
+      entry.uploaded[field] = await uploadPhoto(auth, `items/${entry.userId}/${entry.id}_${field}.${extension}`, blob);
+      // Persist progress so a retry doesn't upload the same photo again
+      await withStore(ITEMS_STORE, 'readwrite', (store) => store.put(entry));
+    }
+
+    // Entries queued by older versions still carry the private fields inline
+    const { estimatedValue = null, recipient = null, ...fields } = entry.fields;
+    const details = entry.details || (estimatedValue !== null || recipient !== null
+      ? { userId: entry.userId, estimatedValue, recipient }
+      : null);
+    await createItemDoc(auth, entry.id, {
+      ...fields,
+      ...entry.uploaded,
+      capturedOffline: true,
+      capturedAt: new Date(entry.capturedAt)
+    }, details);
+  }
+
+  // Replay every queued entry the stored token is allowed to write.
+  // Resolves with { sent, remaining }, where remaining only counts the signed-in
+  // user's entries — another account's queue waits for that account and must
+  // not keep the sync retrying. Never rejects for a single bad entry.
+  async function flush() {
+    const auth = await getAuth();
+    let sent = 0;
+
+    if (!auth) return { sent, remaining: 0 };
+    const entries = await list(auth.userId);
+    if (auth.expiresAt - Date.now() < 60 * 1000) {
+      return { sent, remaining: entries.length };
+    }
+
+    for (const queued of entries) {
+      const entry = await claim(queued.id);
+      if (!entry) continue;
+      try {
+        await replayEntry(auth, entry);
+        await remove(entry.id);
+        sent++;
+      } catch (error) {
+        console.error('[Outbox] Replay failed for', entry.id, error);
+        await release(entry, error);
+      }
+    }
+
+    return { sent, remaining: (await list(auth.userId)).length };
+  }
+
+  global.Outbox = { SYNC_TAG, enqueue, list, remove, saveAuth, clearAuth, flush };
+})(self);
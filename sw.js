@@ -1,12 +1,35 @@
-const CACHE_NAME = 'declutter-v2.0';
+importScripts('outbox.js');
+
+const CACHE_NAME = 'declutter-v2.1';
+const FIREBASE_SDK_URL = 'https://www.gstatic.com/firebasejs/10.7.1/';
+
+// Everything the app shell needs to boot with no connection
 const urlsToCache = [
   '/declutter-app/',
   '/declutter-app/index.html',
   '/declutter-app/manifest.json',
-  '/declutter-app/icon-192.png',
-  '/declutter-app/icon-512.png'
+  '/declutter-app/outbox.js',
+  '/declutter-app/icons/icon-192x192.png',
+  '/declutter-app/icons/icon-512x512.png',
+  '/declutter-app/images/tidy-coach.png',
+  FIREBASE_SDK_URL + 'firebase-app.js',
+  FIREBASE_SDK_URL + 'firebase-firestore.js',
+  FIREBASE_SDK_URL + 'firebase-auth.js',
+  FIREBASE_SDK_URL + 'firebase-storage.js',
+  FIREBASE_SDK_URL + 'firebase-functions.js'
 ];
 
+// Only the app itself, the Firebase SDK and fonts are cached — API traffic
+// (Firestore, Storage, Cloud Functions) always goes straight to the network.
+function isCacheable(request) {
+  if (request.method !== 'GET') return false;
+  const url = new URL(request.url);
+  return url.origin === self.location.origin ||
+    request.url.startsWith(FIREBASE_SDK_URL) ||
+    url.hostname === 'fonts.googleapis.com' ||
+    url.hostname === 'fonts.gstatic.com';
+}
+
 self.addEventListener('install', event => {
   self.skipWaiting();
   event.waitUntil(
@@ -16,6 +39,8 @@ self.addEventListener('install', event => {
 });
 
 self.addEventListener('fetch', event => {
+  if (!isCacheable(event.request)) return;
+
   // Network-first: always try to get fresh content, fall back to cache offline
   event.respondWith(
     fetch(event.request)
@@ -29,7 +54,14 @@ self.addEventListener('fetch', event => {
         }
         return response;
       })
-      .catch(() => caches.match(event.request))
+      .catch(async () => {
+        // Navigations may carry query params (e.g. ?checkout=success) — serve the shell
+        if (event.request.mode === 'navigate') {
+          return (await caches.match(event.request, { ignoreSearch: true })) ||
+            caches.match('/declutter-app/index.html');
+        }
+        return caches.match(event.request);
+      })
   );
 });
 
@@ -43,3 +75,49 @@ self.addEventListener('activate', event => {
     }).then(() => self.clients.claim())
   );
 });
+
+// Background Sync: replay items queued while offline
+self.addEventListener('sync', event => {
+  if (event.tag !== Outbox.SYNC_TAG) return;
+  event.waitUntil(replayOutbox());
+});
+
+async function replayOutbox() {
+  const result = await Outbox.flush();
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage({ type: 'outbox-flushed', ...result }));
+  // Rejecting tells the browser to retry the sync later
+  if (result.remaining > 0) {
+    throw new Error(`${result.remaining} queued item(s) still waiting`);
+  }
+}
+
+// Web push: daily reminders and streak alerts from sendScheduledNotifications
+self.addEventListener('push', event => {
+  const data = event.data ? event.data.json() : {};
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'Declutter Daily', {
+      body: data.body || '',
+      icon: 'icons/icon-192x192.png',
+      badge: 'icons/icon-96x96.png',
+      tag: data.type || 'declutter',
+      data: { url: new URL(data.url || './', self.registration.scope).href }
+    })
+  );
+});
+
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const url = new URL(event.notification.data.url);
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+      const existing = clients.find(client => client.url.startsWith(self.registration.scope));
+      if (existing) {
+        const tab = url.searchParams.get('tab');
+        if (tab) existing.postMessage({ type: 'open-tab', tab });
+        return existing.focus();
+      }
+      return self.clients.openWindow(url.href);
+    })
+  );
+});